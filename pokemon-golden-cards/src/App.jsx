@@ -1,98 +1,377 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './App.css';
 import SearchBar from './components/SearchBar';
 import PokemonGrid from './components/PokemonGrid';
-import { Pokemon } from './models/Pokemon.js';
+import { pokemonApi, REQUEST_PRIORITY, API_MODES, isAbortError } from './services/pokemonApi.js';
+import { getErrorMessage, NotFoundError } from './services/apiErrors.js';
+import { parseSearchQuery, resolveFavorites, formatTypeFilter } from './services/searchQuery.js';
+import { router, ROUTES, DEFAULT_SORT, routeForListing, buildPath } from './services/router.js';
+import { shiny } from './services/shiny.js';
 import PackOpener from './components/PackOpener.jsx';
 import PokeballIcon from './components/PokeballIcon.jsx';
+import LanguageSelector from './components/LanguageSelector.jsx';
+import ArtStyleSelector from './components/ArtStyleSelector.jsx';
+import ShinyOddsSelector from './components/ShinyOddsSelector.jsx';
+import BrowseControls from './components/BrowseControls.jsx';
+import SortSelector from './components/SortSelector.jsx';
+import MatchupCalculator from './components/MatchupCalculator.jsx';
+import PokemonDetail from './components/PokemonDetail.jsx';
+import { BROWSE_MODES } from './services/browseModes.js';
+
+// Texto del buscador que corresponde a una ruta (/tipo/fuego -> "tipo:fuego")
+const searchTermForRoute = (route) => {
+  switch (route.name) {
+    case ROUTES.TYPE: return `tipo:${formatTypeFilter(route.types, route.typeMode)}`;
+    case ROUTES.SEARCH: return route.q;
+    default: return '';
+  }
+};
+
+const sortForRoute = (route) => ({
+  sortBy: route.sortBy || DEFAULT_SORT.sortBy,
+  sortOrder: route.sortOrder || DEFAULT_SORT.sortOrder
+});
+
+// Ruta de la cuadrícula: búsqueda, tipo, Pokédex desde un número o inicio
+const listingRouteFor = ({ searchTerm, sort, page, browseMode, dexFrom }) => routeForListing({
+  query: searchTerm,
+  ...sort,
+  page,
+  dexFrom: browseMode === BROWSE_MODES.DEX ? dexFrom : null
+});
+
+// Un enlace con ?pagina=N carga también las anteriores, hasta este tope
+const MAX_RESTORED_PAGES = 20;
 
 function App() {
-  const [searchTerm, setSearchTerm] = useState('');
+  // La URL decide la vista inicial: /pokemon/:idOrName, /tipo/:tipo o /buscar?q=…
+  const [initialRoute] = useState(() => router.getRoute());
+  const [searchTerm, setSearchTerm] = useState(() => searchTermForRoute(initialRoute));
+  // Ficha abierta sobre la cuadrícula (/pokemon/:idOrName)
+  const [detailPokemon, setDetailPokemon] = useState(() => (
+    initialRoute.name === ROUTES.POKEMON ? initialRoute.idOrName : null
+  ));
+  // Carta desde la que se abrió la ficha (variocolor y forma incluidas)
+  const [detailSeed, setDetailSeed] = useState(null);
+  // Orden de los resultados con filtros (?orden=nombre, -estadisticas…)
+  const [sort, setSort] = useState(() => sortForRoute(initialRoute));
   const [pokemons, setPokemons] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [favorites, setFavorites] = useState([]);
   const [highlightIds, setHighlightIds] = useState([]);
+  // Última búsqueda con filtros y su cursor, para "Cargar más"
+  const [filterPage, setFilterPage] = useState(null);
+  // Modo de exploración: cartas al azar o Pokédex Nacional en orden
+  const [browseMode, setBrowseMode] = useState(() => (
+    initialRoute.name === ROUTES.DEX ? BROWSE_MODES.DEX : BROWSE_MODES.DISCOVERY
+  ));
+  const [dexPage, setDexPage] = useState(null);
+  // Número de la Pokédex con el que empieza la lista (?desde=) y páginas en pantalla (?pagina=)
+  const [dexFrom, setDexFrom] = useState(() => (initialRoute.name === ROUTES.DEX ? initialRoute.from : 1));
+  const [page, setPage] = useState(() => initialRoute.page || 1);
+  // Probabilidad de carta variocolor ("1 entre N"), guardada por el servicio
+  const [shinyOdds, setShinyOdds] = useState(() => shiny.getOdds());
 
   const INITIAL_POKEMON = ['pikachu', 'charizard', 'blastoise', 'venusaur', 'lucario', 'eevee'];
+  const SEARCH_RESULTS_LIMIT = 6;
+  const FILTER_RESULTS_LIMIT = 24;
+  const DEX_PAGE_SIZE = 24;
 
-  // Cargar algunos Pokémon iniciales (lista base)
-  const loadInitialPokemons = async () => {
+  // Una sola carga de la cuadrícula a la vez: la nueva cancela la anterior y
+  // las respuestas de una carga sustituida se descartan
+  const listingRequestRef = useRef(null);
+
+  const beginListing = () => {
+    listingRequestRef.current?.abort();
+    const controller = new AbortController();
+    listingRequestRef.current = controller;
     setLoading(true);
     setError(null);
+    return controller.signal;
+  };
+
+  const isCurrentListing = (signal) => listingRequestRef.current?.signal === signal;
+
+  const endListing = (signal) => {
+    if (!isCurrentListing(signal)) return;
+    listingRequestRef.current = null;
+    setLoading(false);
+  };
+
+  useEffect(() => () => listingRequestRef.current?.abort(), []);
+
+  const appendPokemons = (results) => {
+    setPokemons(prev => {
+      const ids = new Set(prev.map(p => p.id));
+      return [...prev, ...results.filter(p => !ids.has(p.id))];
+    });
+  };
+
+  // Cargar algunos Pokémon iniciales (lista base)
+  const loadInitialPokemons = async () => {
+    const signal = beginListing();
+    setBrowseMode(BROWSE_MODES.DISCOVERY);
+    setSearchTerm('');
+    setPage(1);
+    setFilterPage(null);
     try {
       const results = await Promise.all(
-        INITIAL_POKEMON.map(async (name) => {
-          const response = await fetch(`https://pokeapi.co/api/v2/pokemon/${name}`);
-          if (!response.ok) throw new Error('Error cargando Pokémon iniciales');
-          const data = await response.json();
-          return new Pokemon(data);
-        })
+        INITIAL_POKEMON.map(name => pokemonApi.getPokemonByName(name, { signal }))
       );
+      if (!isCurrentListing(signal)) return;
       setPokemons(results);
     } catch (err) {
-      setError(err.message || 'Error cargando Pokémon');
+      if (isAbortError(err) || !isCurrentListing(signal)) return;
+      setError(err);
       setPokemons([]);
     } finally {
-      setLoading(false);
+      endListing(signal);
     }
   };
 
-  // Función para buscar Pokémon en la API (con opción de reemplazar o agregar)
-  const searchPokemon = async (query, { append = false } = {}) => {
-    if (!query.trim()) return;
-    setLoading(true);
-    setError(null);
+  // Página de la Pokédex Nacional a partir de `offset` (posición en la lista, no número);
+  // también acepta (signal) => Promise<offset> para resolverlo dentro de la misma carga.
+  // `pages` carga de una vez varias páginas (enlace con ?pagina=N)
+  const loadDexPage = async (offset, { append = false, pages = 1 } = {}) => {
+    const signal = beginListing();
+    setFilterPage(null);
     try {
-      const response = await fetch(`https://pokeapi.co/api/v2/pokemon/${query.toLowerCase()}`);
-      if (!response.ok) throw new Error('Pokémon no encontrado');
-      const data = await response.json();
-      const pokemon = new Pokemon(data);
+      const start = typeof offset === 'function' ? await offset(signal) : offset;
+      if (!isCurrentListing(signal)) return;
+      if (!append) {
+        // La vista (y la URL) cambian en cuanto se conoce el inicio
+        setBrowseMode(BROWSE_MODES.DEX);
+        setSearchTerm('');
+        setDexFrom(start + 1);
+        setPage(pages);
+      }
+      const dex = await pokemonApi.getDexPage(start, DEX_PAGE_SIZE * pages, { priority: REQUEST_PRIORITY.HIGH, signal });
+      if (!isCurrentListing(signal)) return;
+      setDexPage({ nextOffset: dex.nextOffset, count: dex.count, hasMore: dex.hasMore });
       if (append) {
-        setPokemons(prev => {
-          const exists = prev.find(p => p.id === pokemon.id);
-          if (exists) return prev;
-          return [...prev, pokemon];
-        });
+        appendPokemons(dex.results);
+        setPage(prev => prev + 1);
       } else {
-        setPokemons([pokemon]);
+        setPokemons(dex.results);
       }
     } catch (err) {
-      // Error handling más específico
-      let errorMessage = 'Error desconocido';
-      if (err.name === 'TypeError') {
-        errorMessage = 'Error de conexión. Verifica tu internet.';
-      } else if (err.message.includes('404') || err.message.includes('no encontrado')) {
-        errorMessage = `Pokémon "${query}" no encontrado. Intenta con otro nombre.`;
-      } else if (err.message.includes('429')) {
-        errorMessage = 'Demasiadas búsquedas. Espera un momento e intenta de nuevo.';
+      if (isAbortError(err) || !isCurrentListing(signal)) return;
+      setError(err);
+      if (!append) setPokemons([]);
+    } finally {
+      endListing(signal);
+    }
+  };
+
+  // Lista base del modo actual (al iniciar o al limpiar la búsqueda)
+  const loadListing = (mode = browseMode) => (
+    mode === BROWSE_MODES.DEX ? loadDexPage(0) : loadInitialPokemons()
+  );
+
+  // Función para buscar Pokémon en la API (con opción de reemplazar o agregar)
+  const searchPokemon = async (query, { append = false, order = sort, pages = 1 } = {}) => {
+    if (!query.trim()) return;
+    const signal = beginListing();
+    // Filtros ("tipo:agua gen:1 total>450") o nombre en el índice local tolerante a errores
+    const { filters, structured } = parseSearchQuery(query);
+    // Solo las búsquedas con filtros tienen "Cargar más"
+    setPage(structured ? pages : 1);
+    try {
+      const options = { priority: REQUEST_PRIORITY.HIGH, signal };
+      let results;
+      let nextFilterPage = null;
+      if (structured) {
+        const request = { ...resolveFavorites(filters, favorites), limit: FILTER_RESULTS_LIMIT, ...order };
+        const first = await pokemonApi.filterPokemon(request, options);
+        results = first.results;
+        let cursor = first.nextCursor;
+        for (let loaded = 1; loaded < pages && cursor; loaded++) {
+          const next = await pokemonApi.filterPokemon({ ...request, cursor }, options);
+          results = [...results, ...next.results];
+          cursor = next.nextCursor;
+        }
+        nextFilterPage = { request, nextCursor: cursor };
       } else {
-        errorMessage = err.message || 'Error cargando Pokémon';
+        results = await pokemonApi.searchPokemon(query, SEARCH_RESULTS_LIMIT, options);
       }
-      
-      setError(errorMessage);
+      if (!isCurrentListing(signal)) return;
+      setFilterPage(nextFilterPage);
+      if (results.length === 0) {
+        throw new NotFoundError(`No matches for "${query}"`);
+      }
+      if (append) appendPokemons(results);
+      else setPokemons(results);
+    } catch (err) {
+      if (isAbortError(err) || !isCurrentListing(signal)) return;
+      setError(err);
       if (!append) setPokemons([]);
     } finally {
-      setLoading(false);
+      endListing(signal);
+    }
+  };
+
+  // Sugerencia elegida en el autocompletado: cargar exactamente ese Pokémon
+  const showPokemon = async (id) => {
+    const signal = beginListing();
+    setPage(1);
+    setFilterPage(null);
+    try {
+      const pokemon = await pokemonApi.getPokemonById(id, { priority: REQUEST_PRIORITY.HIGH, signal });
+      if (!isCurrentListing(signal)) return;
+      setPokemons([pokemon]);
+    } catch (err) {
+      if (isAbortError(err) || !isCurrentListing(signal)) return;
+      setError(err);
+      setPokemons([]);
+    } finally {
+      endListing(signal);
+    }
+  };
+
+  const listingRoute = () => listingRouteFor({ searchTerm, sort, page, browseMode, dexFrom });
+
+  // Lleva la app a la vista de una ruta (al abrir un enlace o con atrás/adelante)
+  const applyRoute = (route) => {
+    if (route.name === ROUTES.POKEMON) {
+      setDetailPokemon(route.idOrName);
+      // Enlace abierto directamente: de fondo, la lista inicial
+      if (pokemons.length === 0 && !loading) loadListing();
+      return;
+    }
+    setDetailPokemon(null);
+    setDetailSeed(null);
+    // Al cerrar la ficha con "atrás" la cuadrícula ya muestra esa vista
+    if (pokemons.length > 0 && buildPath(route) === buildPath(listingRoute())) return;
+
+    const pages = Math.min(route.page || 1, MAX_RESTORED_PAGES);
+    if (route.name === ROUTES.DEX) {
+      loadDexPage(route.from - 1, { pages });
+      return;
+    }
+    const term = searchTermForRoute(route);
+    const order = sortForRoute(route);
+    setSort(order);
+    if (term) {
+      setSearchTerm(term);
+      searchPokemon(term, { order, pages });
+    } else {
+      loadInitialPokemons();
     }
   };
 
   useEffect(() => {
-    loadInitialPokemons();
+    applyRoute(initialRoute);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Atrás/adelante del navegador: una sola suscripción que usa siempre el último applyRoute
+  const applyRouteRef = useRef(applyRoute);
+  useEffect(() => {
+    applyRouteRef.current = applyRoute;
+  });
+  useEffect(() => router.subscribe(route => applyRouteRef.current(route)), []);
+
+  // La URL refleja la vista actual (búsqueda, tipo, Pokédex o ficha) para poder compartirla
+  useEffect(() => {
+    router.sync(detailPokemon
+      ? routeForListing({ pokemon: detailPokemon })
+      : listingRouteFor({ searchTerm, sort, page, browseMode, dexFrom }));
+  }, [detailPokemon, searchTerm, sort, page, browseMode, dexFrom]);
+
+  const handleOpenDetail = (pokemon) => {
+    setDetailSeed(pokemon);
+    setDetailPokemon(pokemon.name);
+  };
+
+  // Anterior/siguiente dentro de la ficha: sustituye la entrada del historial.
+  // La carta pulsada ya no es la mostrada, así que la ficha carga la nueva desde cero
+  const handleDetailNavigate = (idOrName) => {
+    router.navigate({ name: ROUTES.POKEMON, idOrName: String(idOrName) }, { replace: true });
+    setDetailSeed(null);
+    setDetailPokemon(String(idOrName));
+  };
+
+  // Si la ficha se abrió desde la app, cerrar equivale a "atrás"
+  const handleCloseDetail = () => {
+    if (router.canGoBack()) {
+      router.back();
+      return;
+    }
+    router.navigate(listingRoute(), { replace: true });
+    setDetailPokemon(null);
+    setDetailSeed(null);
+  };
+
   const handleSearch = (term) => {
     setSearchTerm(term);
     if (!term || !term.trim()) {
-      // Si se limpia la búsqueda, mostrar la lista inicial nuevamente
-      loadInitialPokemons();
+      // Si se limpia la búsqueda, volver a la lista del modo actual
+      loadListing();
       return;
     }
-    // Al buscar, mostrar solo el Pokémon buscado
+    // Al buscar, mostrar solo los Pokémon encontrados
     searchPokemon(term, { append: false });
   };
 
+  // Siguiente página: de la búsqueda con filtros o de la Pokédex
+  const handleLoadMore = async () => {
+    if (loading) return;
+    if (!filterPage) {
+      if (browseMode === BROWSE_MODES.DEX && dexPage?.hasMore && !searchTerm.trim()) {
+        await loadDexPage(dexPage.nextOffset, { append: true });
+      }
+      return;
+    }
+    if (!filterPage.nextCursor) return;
+    const signal = beginListing();
+    try {
+      const page = await pokemonApi.filterPokemon(
+        { ...filterPage.request, cursor: filterPage.nextCursor },
+        { priority: REQUEST_PRIORITY.HIGH, signal }
+      );
+      if (!isCurrentListing(signal)) return;
+      setFilterPage(prev => ({ ...prev, nextCursor: page.nextCursor }));
+      setPage(prev => prev + 1);
+      appendPokemons(page.results);
+    } catch (err) {
+      if (isAbortError(err) || !isCurrentListing(signal)) return;
+      setError(err);
+    } finally {
+      endListing(signal);
+    }
+  };
+
+  // Nuevo orden: repetir la búsqueda con filtros desde la primera página (la URL guarda ?orden=)
+  const handleSortChange = (order) => {
+    setSort(order);
+    if (parseSearchQuery(searchTerm).structured) searchPokemon(searchTerm, { order });
+  };
+
+  // Cada lista fija el modo y limpia la búsqueda al empezar a cargar
+  const handleBrowseModeChange = (mode) => {
+    if (mode === browseMode) return;
+    loadListing(mode);
+  };
+
+  const handleJumpToNumber = (number) => {
+    if (dexPage?.count && number > dexPage.count) {
+      setError(`La Pokédex llega hasta el #${dexPage.count}`);
+      return;
+    }
+    loadDexPage(number - 1);
+  };
+
+  const handleJumpToGeneration = (generation) => {
+    loadDexPage(signal => pokemonApi.getGenerationStartOffset(generation, { priority: REQUEST_PRIORITY.HIGH, signal }));
+  };
+
+  // Sugerencia elegida en el autocompletado: cargar exactamente ese Pokémon
+  const handleSelectSuggestion = (hit) => {
+    setSearchTerm(hit.name);
+    showPokemon(hit.id);
+  };
+
   // Funciones para favoritos
   const handleFavorite = (pokemonId) => {
     setFavorites(prev => 
@@ -104,11 +383,20 @@ function App() {
 
   const isFavorite = (pokemonId) => favorites.includes(pokemonId);
 
+  const handleShinyOddsChange = (odds) => {
+    shiny.setOdds(odds);
+    setShinyOdds(shiny.getOdds());
+  };
+
   const handleAddPulled = (pulledPokemon) => {
     setPokemons(prev => {
-      const ids = new Set(prev.map(p => p.id));
       const merged = [...prev];
-      pulledPokemon.forEach(p => { if (!ids.has(p.id)) merged.push(p); });
+      pulledPokemon.forEach(p => {
+        const index = merged.findIndex(x => x.id === p.id);
+        if (index === -1) merged.push(p);
+        // Una carta variocolor sustituye a la normal que ya estaba en el tablero
+        else if (p.isShiny() && !merged[index].isShiny()) merged[index] = p;
+      });
       return merged;
     });
   };
@@ -116,6 +404,7 @@ function App() {
   // Rotación automática de cartas más dinámica: cada 8s, 2 cartas
   useEffect(() => {
     if (searchTerm.trim()) return; // no rotar si el usuario está buscando
+    if (browseMode === BROWSE_MODES.DEX) return; // la Pokédex se recorre en orden
     let cancelled = false;
     let requestCount = 0;
     const MAX_REQUESTS_PER_MINUTE = 30; // Límite conservador
@@ -128,19 +417,13 @@ function App() {
           return;
         }
 
-        const getRandom = async () => {
-          if (requestCount >= MAX_REQUESTS_PER_MINUTE) return null;
-          requestCount++;
-          
-          const id = Math.floor(Math.random() * 1010) + 1;
-          const res = await fetch(`https://pokeapi.co/api/v2/pokemon/${id}`);
-          if (!res.ok) return null;
-          const data = await res.json();
-          return new Pokemon(data);
-        };
-        
-        const [p1, p2] = await Promise.all([getRandom(), getRandom()]);
-        const newcomers = [p1, p2].filter(Boolean);
+        const drawCount = Math.min(2, MAX_REQUESTS_PER_MINUTE - requestCount);
+        requestCount += drawCount;
+
+        // Prioridad baja: las cartas visibles y búsquedas van primero
+        const newcomers = shiny.drawCards(await pokemonApi
+          .getRandomPokemon(drawCount, { priority: REQUEST_PRIORITY.LOW })
+          .catch(() => []));
         if (cancelled || newcomers.length === 0) return;
 
         setPokemons(prev => {
@@ -184,7 +467,12 @@ function App() {
       clearInterval(interval);
       clearInterval(resetCounter);
     };
-  }, [searchTerm]);
+  }, [searchTerm, browseMode]);
+
+  // Un 404 de búsqueda se muestra junto al buscador; el resto como error de la cuadrícula
+  const isNotFound = error instanceof NotFoundError;
+  const isStructuredSearch = parseSearchQuery(searchTerm).structured;
+  const isBrowsingDex = browseMode === BROWSE_MODES.DEX && !searchTerm.trim();
 
   return (
     <div className="App">
@@ -199,25 +487,60 @@ function App() {
           <PokeballIcon width="40" height="40" style={{ filter: 'drop-shadow(0 0 10px rgba(255, 215, 0, 0.7))' }} />
         </div>
         <p className="app-subtitle">Descubre y colecciona cartas doradas de Pokémon</p>
+        {pokemonApi.getMode() !== API_MODES.LIVE && (
+          <span className="api-mode-badge">
+            {pokemonApi.getMode() === API_MODES.OFFLINE ? 'Modo demo sin conexión' : 'Grabando respuestas de la API'}
+          </span>
+        )}
+        <LanguageSelector />
+        <ArtStyleSelector />
+        <ShinyOddsSelector odds={shinyOdds} onChange={handleShinyOddsChange} />
       </header>
       
       <main className="app-main">
-        <PackOpener onAddToBoard={handleAddPulled} packSize={5} />
+        <PackOpener onAddToBoard={handleAddPulled} packSize={5} shinyOdds={shinyOdds} />
+        <MatchupCalculator />
+        <BrowseControls
+          mode={browseMode}
+          onModeChange={handleBrowseModeChange}
+          onJumpToNumber={handleJumpToNumber}
+          onJumpToGeneration={handleJumpToGeneration}
+          count={dexPage?.count}
+          disabled={loading}
+        />
         <SearchBar 
           searchTerm={searchTerm}
           onSearchChange={handleSearch}
+          onSelectSuggestion={handleSelectSuggestion}
+          error={isNotFound ? getErrorMessage(error, { query: isStructuredSearch ? undefined : searchTerm }) : null}
         />
+        {isStructuredSearch && (
+          <SortSelector sort={sort} onChange={handleSortChange} disabled={loading} />
+        )}
         
         <PokemonGrid 
           pokemon={pokemons}
           loading={loading}
-          error={error}
+          error={error && !isNotFound ? getErrorMessage(error) : null}
           onFavorite={handleFavorite}
           isFavorite={isFavorite}
           highlightIds={highlightIds}
+          hasMore={Boolean(filterPage?.nextCursor) || (isBrowsingDex && Boolean(dexPage?.hasMore))}
+          onLoadMore={handleLoadMore}
+          totalCount={isBrowsingDex ? dexPage?.count : null}
+          onPokemonClick={handleOpenDetail}
         />
       </main>
 
+      {detailPokemon && (
+        <PokemonDetail
+          idOrName={detailPokemon}
+          pokemon={detailSeed}
+          onClose={handleCloseDetail}
+          onNavigate={handleDetailNavigate}
+        />
+      )}
+
       <footer className="app-footer">© {new Date().getFullYear()} Cartas Doradas Pokémon — ¡Atrápalos ya!</footer>
     </div>
   );
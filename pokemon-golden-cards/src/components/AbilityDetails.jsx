@@ -0,0 +1,88 @@
+/**
+ * AbilityDetails Component
+ * What an ability does and which other Pokémon share it (card back panel)
+ */
+import { useState, useEffect } from 'react';
+import './AbilityDetails.css';
+import { pokemonApi, REQUEST_PRIORITY } from '../services/pokemonApi.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+import { Pokemon, FORM_ID_OFFSET } from '../models/Pokemon.js';
+
+// Cuántos Pokémon que comparten la habilidad se muestran
+const MAX_SHARED = 12;
+
+const formatSlug = (slug) => String(slug || '').replace(/-/g, ' ');
+
+const AbilityDetails = ({ abilityName, pokemonId, isHidden = false, onClose }) => {
+  const [ability, setAbility] = useState(null);
+  const [error, setError] = useState(false);
+  const [showFullEffect, setShowFullEffect] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    pokemonApi.getAbilityDetails(abilityName, { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(loaded => { if (!controller.signal.aborted) setAbility(loaded); })
+      .catch(() => { if (!controller.signal.aborted) setError(true); });
+    return () => controller.abort();
+  }, [abilityName]);
+
+  const shared = ability ? ability.getPokemon({ excludeId: Number(pokemonId) }) : [];
+  const visible = shared.slice(0, MAX_SHARED);
+
+  // Nombres de especie solo para las formas por defecto (las demás no tienen especie propia)
+  const { t, language } = useLocalization(
+    visible.filter(entry => entry.id && entry.id <= FORM_ID_OFFSET).map(entry => ['pokemon-species', entry.id])
+  );
+
+  const stop = (e) => e.stopPropagation();
+
+  return (
+    <div className="ability-details" onClick={stop} role="region" aria-label="Detalles de la habilidad">
+      <div className="ability-details-header">
+        <span className="ability-details-name">
+          {ability ? ability.getLocalizedName(language) : formatSlug(abilityName)}
+        </span>
+        {isHidden && <span className="ability-hidden-flag">Oculta</span>}
+        <button type="button" className="ability-details-close" onClick={onClose} aria-label="Cerrar">✕</button>
+      </div>
+
+      {error && <p className="ability-effect">No se pudo cargar la habilidad.</p>}
+      {!ability && !error && <p className="ability-effect">Cargando…</p>}
+
+      {ability && (
+        <>
+          <p className="ability-effect">{ability.getShortEffect(language) || 'Sin descripción.'}</p>
+          {ability.getEffect(language) && (
+            <button type="button" className="ability-more" onClick={() => setShowFullEffect(prev => !prev)}>
+              {showFullEffect ? 'Ocultar detalles' : 'Ver efecto completo'}
+            </button>
+          )}
+          {showFullEffect && <p className="ability-effect full">{ability.getEffect(language)}</p>}
+
+          {shared.length > 0 && (
+            <div className="ability-shared">
+              <div className="ability-shared-title">También la tienen</div>
+              <ul className="ability-shared-list">
+                {visible.map(entry => (
+                  <li key={entry.id || entry.name} className={entry.isHidden ? 'hidden-ability' : ''}>
+                    {entry.id && <img src={Pokemon.getSpriteUrlById(entry.id)} alt="" loading="lazy" />}
+                    <span>
+                      {entry.id && entry.id <= FORM_ID_OFFSET
+                        ? t('pokemon-species', entry.id, formatSlug(entry.name))
+                        : formatSlug(entry.name)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              {shared.length > visible.length && (
+                <div className="ability-shared-more">y {shared.length - visible.length} más</div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AbilityDetails;
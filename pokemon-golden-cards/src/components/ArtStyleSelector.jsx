@@ -0,0 +1,22 @@
+/**
+ * ArtStyleSelector Component
+ * Chooses the art shown on cards: official artwork, HOME renders or pixel sprites
+ */
+import { useArtStyle } from '../hooks/useArtStyle.js';
+
+const ArtStyleSelector = () => {
+  const { artStyle, artStyles, setArtStyle } = useArtStyle();
+
+  return (
+    <label className="language-selector art-style-selector">
+      <span className="language-selector-label">🎨 Estilo de las cartas</span>
+      <select value={artStyle} onChange={(e) => setArtStyle(e.target.value)}>
+        {artStyles.map(({ id, label }) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ArtStyleSelector;
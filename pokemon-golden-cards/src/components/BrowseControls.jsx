@@ -0,0 +1,90 @@
+/**
+ * BrowseControls Component
+ * Switches between random discovery and sequential National Dex browsing,
+ * with jumps to a Dex number or to the start of a generation
+ */
+import { useState } from 'react';
+import './BrowseControls.css';
+import { BROWSE_MODES } from '../services/browseModes.js';
+import { MAX_GENERATION } from '../services/searchQuery.js';
+
+const BrowseControls = ({
+  mode = BROWSE_MODES.DISCOVERY,
+  onModeChange,
+  onJumpToNumber,
+  onJumpToGeneration,
+  count = null,
+  disabled = false
+}) => {
+  const [dexNumber, setDexNumber] = useState('');
+
+  const handleJump = (e) => {
+    e.preventDefault();
+    const number = Number(dexNumber);
+    if (!Number.isInteger(number) || number < 1) return;
+    if (onJumpToNumber) onJumpToNumber(number);
+  };
+
+  return (
+    <div className="browse-controls">
+      <div className="browse-mode-toggle" role="group" aria-label="Modo de exploración">
+        <button
+          type="button"
+          className={mode === BROWSE_MODES.DISCOVERY ? 'active' : ''}
+          aria-pressed={mode === BROWSE_MODES.DISCOVERY}
+          onClick={() => onModeChange && onModeChange(BROWSE_MODES.DISCOVERY)}
+          disabled={disabled}
+        >
+          🎲 Descubrir
+        </button>
+        <button
+          type="button"
+          className={mode === BROWSE_MODES.DEX ? 'active' : ''}
+          aria-pressed={mode === BROWSE_MODES.DEX}
+          onClick={() => onModeChange && onModeChange(BROWSE_MODES.DEX)}
+          disabled={disabled}
+        >
+          📖 Pokédex Nacional
+        </button>
+      </div>
+
+      {mode === BROWSE_MODES.DEX && (
+        <div className="browse-jumps">
+          <form className="browse-jump-number" onSubmit={handleJump}>
+            <label>
+              <span>Ir al número</span>
+              <input
+                type="number"
+                min="1"
+                max={count || undefined}
+                max={count || undefined}
+                value={dexNumber}
+                onChange={(e) => setDexNumber(e.target.value)}
+                placeholder="#"
+              />
+            </label>
+            <button type="submit" disabled={disabled || !dexNumber}>Ir</button>
+          </form>
+
+          <label className="browse-jump-generation">
+            <span>Generación</span>
+            <select
+              value=""
+              onChange={(e) => e.target.value && onJumpToGeneration && onJumpToGeneration(Number(e.target.value))}
+              disabled={disabled}
+            >
+              <option value="">Elegir…</option>
+              {Array.from({ length: MAX_GENERATION }, (_, i) => i + 1).map(gen => (
+                <option key={gen} value={gen}>Generación {gen}</option>
+              ))}
+            </select>
+          </label>
+
+          {count && <span className="browse-count">{count} Pokémon en la Pokédex</span>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BrowseControls;
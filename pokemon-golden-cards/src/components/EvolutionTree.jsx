@@ -0,0 +1,65 @@
+/**
+ * EvolutionTree Component
+ * Small branching view of an EvolutionChain with the condition on every edge;
+ * with `onSelect` the species become buttons (detail view navigation)
+ */
+import './EvolutionTree.css';
+import { EvolutionChain } from '../models/EvolutionChain.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+
+const EvolutionTree = ({ chain, currentSpeciesId, onSelect }) => {
+  const nodes = chain ? chain.getAllSpecies() : [];
+  const conditions = nodes.flatMap(node => node.conditions);
+
+  // Especies, movimientos y tipos que aparecen en el árbol
+  const { t } = useLocalization([
+    ...nodes.map(node => ['pokemon-species', node.speciesId]),
+    ...conditions.filter(c => c.knownMove).map(c => ['move', c.knownMove]),
+    ...conditions.filter(c => c.knownMoveType).map(c => ['type', c.knownMoveType]),
+    ...conditions.filter(c => c.partyType).map(c => ['type', c.partyType])
+  ]);
+
+  if (!chain || nodes.length < 2) return null;
+
+  // Solo los recursos con nombres localizados pasan por `t`
+  const translate = (resource, slug) => (
+    ['pokemon-species', 'move', 'type'].includes(resource) ? t(resource, slug) : null
+  );
+
+  const renderNode = (node) => (
+    <li key={node.speciesId} className="evo-node">
+      {node.conditions.length > 0 && (
+        <span className="evo-condition">
+          {node.conditions.map(c => EvolutionChain.describeCondition(c, { translate })).join(' o ')}
+        </span>
+      )}
+      {onSelect ? (
+        <button
+          type="button"
+          className={`evo-species selectable ${node.speciesId === Number(currentSpeciesId) ? 'current' : ''}`}
+          onClick={() => onSelect(node.speciesId)}
+        >
+          {t('pokemon-species', node.speciesId, node.name)}
+        </button>
+      ) : (
+        <span className={`evo-species ${node.speciesId === Number(currentSpeciesId) ? 'current' : ''}`}>
+          {t('pokemon-species', node.speciesId, node.name)}
+        </span>
+      )}
+      {node.children.length > 0 && (
+        <ul className={`evo-children ${node.children.length > 1 ? 'branched' : ''}`}>
+          {node.children.map(renderNode)}
+        </ul>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="evolution-tree">
+      <div className="evolution-tree-title">Evolución</div>
+      <ul className="evo-root">{renderNode(chain.root)}</ul>
+    </div>
+  );
+};
+
+export default EvolutionTree;
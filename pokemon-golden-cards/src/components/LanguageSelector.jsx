@@ -0,0 +1,22 @@
+/**
+ * LanguageSelector Component
+ * Chooses the language used for Pokémon, type, stat and ability names
+ */
+import { useLocalization } from '../hooks/useLocalization.js';
+
+const LanguageSelector = () => {
+  const { language, languages, setLanguage } = useLocalization();
+
+  return (
+    <label className="language-selector">
+      <span className="language-selector-label">🌐 Idioma de los datos</span>
+      <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+        {languages.map(({ code, label }) => (
+          <option key={code} value={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSelector;
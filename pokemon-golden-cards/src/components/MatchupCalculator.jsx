@@ -0,0 +1,140 @@
+/**
+ * MatchupCalculator Component
+ * Standalone type calculator: defensive multipliers for one or two types and
+ * offensive coverage for up to four move types
+ */
+import { useState, useEffect } from 'react';
+import './TypeMatchups.css';
+import { pokemonApi, REQUEST_PRIORITY } from '../services/pokemonApi.js';
+import { POKEMON_TYPES, EFFECTIVENESS_BUCKETS, formatMultiplier } from '../services/typeEffectiveness.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+
+const MAX_DEFENDING_TYPES = 2;
+const MAX_ATTACKING_TYPES = 4;
+
+const COVERAGE_GROUPS = [
+  { key: 'superEffective', label: 'Supereficaz' },
+  { key: 'neutral', label: 'Neutro' },
+  { key: 'notVeryEffective', label: 'Poco eficaz' },
+  { key: 'noEffect', label: 'Sin efecto' }
+];
+
+const MatchupCalculator = () => {
+  const [open, setOpen] = useState(false);
+  const [defendTypes, setDefendTypes] = useState([]);
+  const [attackTypes, setAttackTypes] = useState([]);
+  const [chart, setChart] = useState(null);
+  const [error, setError] = useState(null);
+
+  const { t } = useLocalization(open ? POKEMON_TYPES.map(type => ['type', type]) : []);
+
+  // La tabla se carga solo con los tipos elegidos (comparten la caché de /type)
+  const selectedKey = [...defendTypes, ...attackTypes].join(',');
+  useEffect(() => {
+    if (!selectedKey) return;
+    const controller = new AbortController();
+    pokemonApi.getTypeChart(selectedKey.split(','), { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(loaded => { if (!controller.signal.aborted) { setChart(loaded); setError(null); } })
+      .catch(() => { if (!controller.signal.aborted) setError('No se pudo cargar la tabla de tipos.'); });
+    return () => controller.abort();
+  }, [selectedKey]);
+
+  const toggle = (list, setList, max) => (type) => {
+    setList(list.includes(type)
+      ? list.filter(t => t !== type)
+      : [...list, type].slice(-max));
+  };
+
+  const ready = (types) => types.length > 0 && chart && types.every(type => chart.has(type));
+  const profile = ready(defendTypes) ? chart.getDefensiveProfile(defendTypes) : null;
+  const coverage = ready(attackTypes) ? chart.getOffensiveCoverage(attackTypes) : null;
+
+  const renderPicker = (selected, onToggle, label) => (
+    <div className="matchup-picker">
+      <div className="matchup-picker-label">{label}</div>
+      <div className="matchup-picker-types">
+        {POKEMON_TYPES.map(type => (
+          <button
+            key={type}
+            type="button"
+            className={`type-badge type-${type} matchup-type ${selected.includes(type) ? 'selected' : ''}`}
+            aria-pressed={selected.includes(type)}
+            onClick={() => onToggle(type)}
+          >
+            {t('type', type)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderTypes = (types) => (
+    <div className="type-matchups-list">
+      {types.length === 0 && <span className="type-matchups-empty">Ninguno</span>}
+      {types.map(type => (
+        <span key={type} className={`type-badge type-${type} matchup-badge`}>{t('type', type)}</span>
+      ))}
+    </div>
+  );
+
+  return (
+    <section className="matchup-calculator">
+      <button
+        type="button"
+        className="matchup-calculator-toggle"
+        aria-expanded={open}
+        onClick={() => setOpen(prev => !prev)}
+      >
+        ⚔️ Calculadora de tipos {open ? '▲' : '▼'}
+      </button>
+
+      {open && (
+        <div className="matchup-calculator-body">
+          {renderPicker(defendTypes, toggle(defendTypes, setDefendTypes, MAX_DEFENDING_TYPES), `Defensor (hasta ${MAX_DEFENDING_TYPES} tipos)`)}
+          {renderPicker(attackTypes, toggle(attackTypes, setAttackTypes, MAX_ATTACKING_TYPES), `Ataques (hasta ${MAX_ATTACKING_TYPES} tipos)`)}
+
+          {error && <p className="matchup-error">{error}</p>}
+
+          {profile && (
+            <div className="matchup-results">
+              <h4>Daño recibido</h4>
+              {EFFECTIVENESS_BUCKETS.filter(bucket => bucket.key !== 'neutral').map(bucket => (
+                <div key={bucket.key} className="type-matchups-row">
+                  <span className="type-matchups-label">{bucket.label}</span>
+                  {renderTypes(profile[bucket.key])}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {coverage && (
+            <div className="matchup-results">
+              <h4>Cobertura ofensiva</h4>
+              {COVERAGE_GROUPS.map(group => (
+                <div key={group.key} className="type-matchups-row">
+                  <span className="type-matchups-label">{group.label}</span>
+                  {renderTypes(coverage[group.key])}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {profile && coverage && (
+            <div className="matchup-results">
+              <h4>Ataques contra el defensor</h4>
+              <div className="type-matchups-list">
+                {attackTypes.map(type => (
+                  <span key={type} className={`type-badge type-${type} matchup-badge`}>
+                    {t('type', type)} <strong>{formatMultiplier(profile.multipliers[type])}</strong>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default MatchupCalculator;
@@ -1,12 +1,17 @@
 import { useState } from 'react';
 import './PackOpener.css';
-import { pokemonApi } from '../services/pokemonApi.js';
+import { pokemonApi, REQUEST_PRIORITY, RARITY_WEIGHTS } from '../services/pokemonApi.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+import { useArtStyle } from '../hooks/useArtStyle.js';
+import { shiny } from '../services/shiny.js';
 
-const PackOpener = ({ onAddToBoard, packSize = 5 }) => {
+const PackOpener = ({ onAddToBoard, packSize = 5, shinyOdds }) => {
   const [isOpening, setIsOpening] = useState(false);
   const [showModal, setShowModal] = useState(false);
   const [pulled, setPulled] = useState([]);
   const [error, setError] = useState(null);
+  const { t } = useLocalization(pulled.map(p => ['pokemon-species', p.getSpeciesId()]));
+  const { isPixelArt, imageFor } = useArtStyle();
 
   const playChime = () => {
     try {
@@ -35,8 +40,14 @@ const PackOpener = ({ onAddToBoard, packSize = 5 }) => {
       // Espera breve para que se vea la animación
       const delay = (ms) => new Promise(r => setTimeout(r, ms));
       await delay(300);
-      const results = await pokemonApi.getRandomPokemon(packSize);
-      setPulled(results);
+      // En los sobres los legendarios salen menos
+      const results = await pokemonApi.sampleRandomPokemon(
+        packSize,
+        { weights: RARITY_WEIGHTS },
+        { priority: REQUEST_PRIORITY.HIGH }
+      );
+      // El brillo se decide al abrir el sobre y viaja con la carta
+      setPulled(shiny.drawCards(results, shinyOdds ? { odds: shinyOdds } : {}));
       playChime();
       // Mostrar modal tras animación
       await delay(800);
@@ -77,9 +88,15 @@ const PackOpener = ({ onAddToBoard, packSize = 5 }) => {
             {error && <div className="pack-error">{error}</div>}
             <div className="pack-results">
               {pulled.map(p => (
-                <div key={p.id} className="pack-result-card">
-                  <img src={p.imageUrl} alt={p.name} />
-                  <div className="pack-result-name">{p.name}</div>
+                <div key={p.id} className={`pack-result-card ${p.isShiny() ? 'shiny' : ''}`}>
+                  <img
+                    src={imageFor(p)}
+                    alt={t('pokemon-species', p.getSpeciesId(), p.name)}
+                    className={isPixelArt ? 'pixel-art' : ''}
+                  />
+                  <div className="pack-result-name">
+                    {p.isShiny() && '✨ '}{t('pokemon-species', p.getSpeciesId(), p.name)}
+                  </div>
                 </div>
               ))}
             </div>
@@ -1,29 +1,56 @@
 /**
  * PokemonCard Component - Tarjetas con efectos 3D, giro y sonidos
- * Displays individual Pokemon with flip animation and Spanish data
+ * Displays individual Pokemon with flip animation and localized data
  */
 import { useState, useRef, useEffect } from 'react';
 import './PokemonCard.css';
-import { pokemonApi } from '../services/pokemonApi.js';
+import { pokemonApi, REQUEST_PRIORITY } from '../services/pokemonApi.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+import { useArtStyle } from '../hooks/useArtStyle.js';
+import EvolutionTree from './EvolutionTree.jsx';
+import AbilityDetails from './AbilityDetails.jsx';
+import TypeMatchups from './TypeMatchups.jsx';
+
+const DAMAGE_CLASS_ES = { physical: 'Físico', special: 'Especial', status: 'Estado' };
 
 const PokemonCard = ({ 
-  pokemon, 
+  pokemon: basePokemon, 
   onFavorite, 
   isFavorite = false, 
+  isFavoriteId,
   onClick 
 }) => {
+  // Forma elegida en el selector (null = la carta tal como llegó)
+  const [formPokemon, setFormPokemon] = useState(null);
+  const pokemon = formPokemon || basePokemon;
+  const favorite = formPokemon && isFavoriteId ? isFavoriteId(formPokemon.id) : isFavorite;
   const [imageLoaded, setImageLoaded] = useState(false);
-  const [imageError, setImageError] = useState(false);
+  // URL que falló al cargar: cambiar de estilo o de forma vuelve a intentarlo
+  const [failedImageUrl, setFailedImageUrl] = useState(null);
   const [flipped, setFlipped] = useState(false);
   const cryAudioRef = useRef(null);
 
-  // Imagen mostrada (para alternar evoluciones en hover)
-  const [displayImageUrl, setDisplayImageUrl] = useState(pokemon.imageUrl);
+  // Imagen en el estilo elegido; en hover se alternan las evoluciones
+  const { artStyle, isPixelArt, imageFor } = useArtStyle();
+  const imageUrl = imageFor(pokemon);
+  const [hoverImageUrl, setHoverImageUrl] = useState(null);
+  const displayImageUrl = hoverImageUrl || imageUrl;
+  const imageError = failedImageUrl === displayImageUrl;
   const [evolutionCycle, setEvolutionCycle] = useState({ images: [], ready: false, loading: false });
   const evoIntervalRef = useRef(null);
-  const [abilitiesEs, setAbilitiesEs] = useState([]);
   const [sparkling, setSparkling] = useState(false);
   const sparkleTimeoutRef = useRef(null);
+  // Entrada de Pokédex (especie) cargada al girar la carta por primera vez
+  const [species, setSpecies] = useState(pokemon.species);
+  const [flavorVersion, setFlavorVersion] = useState(null);
+  const [evolutionChain, setEvolutionChain] = useState(null);
+  // Formas de la especie (regionales, Mega, Gigamax...) para el selector
+  const [varieties, setVarieties] = useState([]);
+  // Ataques de la carta (como en el TCG), por forma
+  const [signatureMoves, setSignatureMoves] = useState({ pokemonId: null, moves: [] });
+  const attacks = signatureMoves.pokemonId === pokemon.id ? signatureMoves.moves : [];
+  // Habilidad abierta en el reverso (slug)
+  const [selectedAbility, setSelectedAbility] = useState(null);
 
   useEffect(() => {
     // Crear audio de forma más segura
@@ -45,18 +72,61 @@ const PokemonCard = ({
     };
   }, []);
 
+  // Nombres localizados de tipos, estadísticas, habilidades y especie
+  const { t, language } = useLocalization([
+    ...pokemon.getTypeNames().map(type => ['type', type]),
+    ...pokemon.stats.slice(0, 6).map(stat => ['stat', stat.stat.name]),
+    ...pokemon.getAbilityNames().map(ability => ['ability', ability]),
+    ['pokemon-species', pokemon.getSpeciesId()],
+    ...attacks.map(move => ['type', move.type])
+  ]);
+  const displayName = t('pokemon-species', pokemon.getSpeciesId(), pokemon.name);
+
   useEffect(() => {
-    let mounted = true;
-    (async () => {
-      try {
-        const es = await pokemonApi.getAbilitiesEs(pokemon.abilities || []);
-        if (mounted) setAbilitiesEs(es);
-      } catch {
-        if (mounted) setAbilitiesEs([]);
-      }
-    })();
-    return () => { mounted = false; };
-  }, [pokemon.id, pokemon.abilities]);
+    if (!flipped || species) return;
+    const controller = new AbortController();
+    pokemonApi.loadSpeciesFor(pokemon, { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(loaded => { if (!controller.signal.aborted) setSpecies(loaded); })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [flipped, species, pokemon]);
+
+  useEffect(() => {
+    if (!flipped || evolutionChain) return;
+    const controller = new AbortController();
+    pokemonApi.getPokemonEvolutionChain(pokemon.getSpeciesId(), { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(chain => { if (!controller.signal.aborted && chain) setEvolutionChain(chain); })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [flipped, evolutionChain, pokemon]);
+
+  useEffect(() => {
+    if (!flipped || signatureMoves.pokemonId === pokemon.id) return;
+    const controller = new AbortController();
+    pokemonApi.getSignatureMoves(pokemon.id, 2, { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(moves => { if (!controller.signal.aborted) setSignatureMoves({ pokemonId: pokemon.id, moves }); })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [flipped, signatureMoves, pokemon]);
+
+  useEffect(() => {
+    if (!flipped || !species?.hasForms() || varieties.length > 0) return;
+    const controller = new AbortController();
+    pokemonApi.getSpeciesVarieties(species.id, { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(loaded => { if (!controller.signal.aborted) setVarieties(loaded); })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [flipped, species, varieties]);
+
+  const selectForm = (variety) => {
+    if (variety.id === pokemon.id) return;
+    // La forma elegida conserva el brillo de la carta
+    const form = basePokemon.isShiny() ? variety.withShiny(true) : variety;
+    setFormPokemon(variety.id === basePokemon.id ? null : form);
+    setSelectedAbility(null);
+    setImageLoaded(false);
+    setEvolutionCycle({ images: [], ready: false, loading: false });
+  };
 
   const playCry = async () => {
     try {
@@ -72,33 +142,25 @@ const PokemonCard = ({
   };
 
   // Helpers evoluciones
-  const flattenEvolutionChain = (node) => {
-    const out = [];
-    const dfs = (n) => {
-      if (!n) return;
-      if (n.species?.name) out.push(n.species.name);
-      (n.evolves_to || []).forEach(dfs);
-    };
-    dfs(node);
-    return out;
-  };
-
   const prepareEvolutionImages = async () => {
-    if (evolutionCycle.ready && evolutionCycle.images.length > 1) return evolutionCycle.images;
+    if (evolutionCycle.ready && evolutionCycle.style === artStyle && evolutionCycle.images.length > 1) return evolutionCycle.images;
     if (evolutionCycle.loading) return [];
     setEvolutionCycle(prev => ({ ...prev, loading: true }));
     try {
-      const chainData = await pokemonApi.getPokemonEvolutionChain(pokemon.id);
-      const names = chainData?.chain ? flattenEvolutionChain(chainData.chain) : [];
-      // Asegurar que incluimos al actual y quitar duplicados
-      const unique = Array.from(new Set([pokemon.name, ...names]));
-      const results = await Promise.allSettled(unique.map(name => pokemonApi.getPokemonByName(name)));
-      const images = results
-        .filter(r => r.status === 'fulfilled')
-        .map(r => r.value?.imageUrl)
-        .filter(Boolean);
+      const chain = evolutionChain
+        || await pokemonApi.getPokemonEvolutionChain(pokemon.getSpeciesId(), { priority: REQUEST_PRIORITY.HIGH });
+      if (chain) setEvolutionChain(chain);
+      // La carta actual primero, luego el resto de la cadena
+      const otherIds = (chain ? chain.getAllSpecies() : [])
+        .map(node => node.speciesId)
+        .filter(id => id !== pokemon.getSpeciesId());
+      const results = await Promise.allSettled(otherIds.map(id => pokemonApi.getPokemonById(id, { priority: REQUEST_PRIORITY.HIGH })));
+      const images = [
+        imageUrl,
+        ...results.filter(r => r.status === 'fulfilled').map(r => imageFor(r.value, { shiny: pokemon.isShiny() }))
+      ].filter(Boolean);
       const ready = images.length > 1;
-      setEvolutionCycle({ images, ready, loading: false });
+      setEvolutionCycle({ images, ready, loading: false, style: artStyle });
       return images;
     } catch {
       setEvolutionCycle({ images: [], ready: false, loading: false });
@@ -110,22 +172,22 @@ const PokemonCard = ({
     const imgs = await prepareEvolutionImages();
     if (!imgs || imgs.length <= 1) return;
     let i = 0;
-    setDisplayImageUrl(imgs[i]);
+    setHoverImageUrl(imgs[i]);
     if (evoIntervalRef.current) clearInterval(evoIntervalRef.current);
     evoIntervalRef.current = setInterval(() => {
       i = (i + 1) % imgs.length;
-      setDisplayImageUrl(imgs[i]);
+      setHoverImageUrl(imgs[i]);
     }, 1000);
   };
 
   const stopEvolutionCycle = () => {
     if (evoIntervalRef.current) clearInterval(evoIntervalRef.current);
     evoIntervalRef.current = null;
-    setDisplayImageUrl(pokemon.imageUrl);
+    setHoverImageUrl(null);
   };
 
   const handleImageLoad = () => setImageLoaded(true);
-  const handleImageError = () => { setImageError(true); setImageLoaded(true); };
+  const handleImageError = () => { setFailedImageUrl(displayImageUrl); setImageLoaded(true); };
 
   const handleFavoriteClick = (e) => {
     e.stopPropagation();
@@ -139,14 +201,14 @@ const PokemonCard = ({
     if (sparkleTimeoutRef.current) clearTimeout(sparkleTimeoutRef.current);
     sparkleTimeoutRef.current = setTimeout(() => setSparkling(false), 800);
     playCry();
-    if (onClick) onClick(pokemon);
   };
 
-  const translateType = (type) => {
-    const map = { normal: 'Normal', fire: 'Fuego', water: 'Agua', electric: 'Eléctrico', grass: 'Planta', ice: 'Hielo', fighting: 'Lucha', poison: 'Veneno', ground: 'Tierra', flying: 'Volador', psychic: 'Psíquico', bug: 'Bicho', rock: 'Roca', ghost: 'Fantasma', dragon: 'Dragón', dark: 'Siniestro', steel: 'Acero', fairy: 'Hada' };
-    return map[type] || type;
+  // Ficha completa (modal de la app); el clic en la carta solo la gira
+  const handleDetailClick = (e) => {
+    e.stopPropagation();
+    if (onClick) onClick(pokemon);
   };
-  const translateStat = (k) => { const map = { hp:'Vida', attack:'Ataque', defense:'Defensa', 'special-attack':'At. Esp', 'special-defense':'Def. Esp', speed:'Velocidad' }; return map[k] || k; };
+
   const formatId = (id) => `#${id.toString().padStart(3, '0')}`;
   const formatHeight = (h) => `${(h / 10).toFixed(1)} m`;
   const formatWeight = (w) => `${(w / 10).toFixed(1)} kg`;
@@ -175,23 +237,24 @@ const PokemonCard = ({
 
   return (
     <div 
-      className={`pokemon-card ${getRarityClass()} ${flipped ? 'flipped' : ''} ${isGolden ? 'golden' : ''}`}
+      className={`pokemon-card ${getRarityClass()} ${flipped ? 'flipped' : ''} ${isGolden ? 'golden' : ''} ${pokemon.isShiny() ? 'shiny' : ''}`}
       onClick={handleCardClick}
       style={{ '--primary-color': pokemon.getTypeColor(), '--back-watermark-opacity': 0.35 }}
       role="button"
       data-golden={isGolden ? 'true' : 'false'}
-      aria-label={`Carta de ${pokemon.name}. Pulsa para ver más detalles`}
+      aria-label={`Carta de ${displayName}${pokemon.isShiny() ? ' variocolor' : ''}. Pulsa para ver más detalles`}
     >
       <div className="pokemon-card-inner">
         <div className="pokemon-card-front">
           <div className="card-header">
             <span className="pokemon-id">{formatId(pokemon.id)}</span>
+            {pokemon.isShiny() && <span className="shiny-badge" title="Carta variocolor">✨ Variocolor</span>}
             {/* Removed visible golden text badge; the card itself will be styled as golden */}
-            <button className={`favorite-button ${isFavorite ? 'favorited' : ''}`}
+            <button className={`favorite-button ${favorite ? 'favorited' : ''}`}
               onClick={handleFavoriteClick}
-              aria-label={isFavorite ? 'Quitar de favoritos' : 'Agregar a favoritos'}
-              title={isFavorite ? 'Quitar de favoritos' : 'Agregar a favoritos'}>
-              {isFavorite ? '❤️' : '🤍'}
+              aria-label={favorite ? 'Quitar de favoritos' : 'Agregar a favoritos'}
+              title={favorite ? 'Quitar de favoritos' : 'Agregar a favoritos'}>
+              {favorite ? '❤️' : '🤍'}
             </button>
           </div>
 
@@ -204,8 +267,8 @@ const PokemonCard = ({
             ) : (
               <img
                 src={displayImageUrl}
-                alt={pokemon.name}
-                className={`pokemon-image ${imageLoaded ? 'loaded' : ''}`}
+                alt={displayName}
+                className={`pokemon-image ${imageLoaded ? 'loaded' : ''} ${isPixelArt ? 'pixel-art' : ''}`}
                 onLoad={handleImageLoad}
                 onError={handleImageError}
                 loading="lazy"
@@ -214,13 +277,16 @@ const PokemonCard = ({
 
             <div className="pokemon-types">
               {pokemon.getTypeNames().map(type => (
-                <span key={type} className={`type-badge type-${type}`}>{translateType(type)}</span>
+                <span key={type} className={`type-badge type-${type}`}>{t('type', type)}</span>
               ))}
             </div>
           </div>
 
           <div className="pokemon-info">
-            <h3 className="pokemon-name">{pokemon.name}</h3>
+            <h3 className="pokemon-name">{displayName}</h3>
+            {pokemon.isAlternateForm() && (
+              <span className={`form-badge form-${pokemon.getFormKind()}`}>{pokemon.getFormLabel()}</span>
+            )}
             <div className="pokemon-details">
               <div className="detail-row"><span className="detail-label">Altura:</span><span className="detail-value">{formatHeight(pokemon.height)}</span></div>
               <div className="detail-row"><span className="detail-label">Peso:</span><span className="detail-value">{formatWeight(pokemon.weight)}</span></div>
@@ -231,7 +297,7 @@ const PokemonCard = ({
               <div className="stats-grid">
                 {pokemon.stats.slice(0, 6).map((stat, i) => (
                   <div key={i} className="stat-item">
-                    <div className="stat-info"><span className="stat-name">{translateStat(stat.stat.name)}</span><span className="stat-value">{stat.base_stat}</span></div>
+                    <div className="stat-info"><span className="stat-name">{t('stat', stat.stat.name)}</span><span className="stat-value">{stat.base_stat}</span></div>
                     <div className="stat-bar"><div className="stat-fill" style={{ width: `${getStatBarWidth(stat.base_stat)}%` }}></div></div>
                   </div>
                 ))}
@@ -244,30 +310,121 @@ const PokemonCard = ({
         <div className="pokemon-card-back">
           <div className="holo-bg"></div>
           <div className="back-content">
-            <div className="back-header"><h3 className="back-title">{pokemon.name}</h3><span className="back-id">{formatId(pokemon.id)}</span></div>
+            <div className="back-header"><h3 className="back-title">{displayName}</h3><span className="back-id">{formatId(pokemon.id)}</span></div>
             <div className="back-panel">
               <div className="back-row"><span className="back-label">Altura</span><span className="back-value">{formatHeight(pokemon.height)}</span></div>
               <div className="back-row"><span className="back-label">Peso</span><span className="back-value">{formatWeight(pokemon.weight)}</span></div>
               <div className="back-row"><span className="back-label">Total de estadísticas</span><span className="back-value">{pokemon.getStatTotal()}</span></div>
             </div>
 
+            {species && (
+              <div className="back-pokedex">
+                <div className="back-pokedex-header">
+                  <span className="back-genus">{species.getGenus(language)}</span>
+                  {species.isLegendary && <span className="species-flag legendary">Legendario</span>}
+                  {species.isMythical && <span className="species-flag mythical">Singular</span>}
+                  {species.isBaby && <span className="species-flag baby">Bebé</span>}
+                </div>
+                <p className="back-flavor">{species.getFlavorText(language, flavorVersion) || species.getFlavorText('en') || 'Sin entrada de Pokédex.'}</p>
+                {species.getFlavorTextVersions(language).length > 1 && (
+                  <select
+                    className="flavor-version-select"
+                    value={flavorVersion || ''}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={(e) => setFlavorVersion(e.target.value || null)}
+                    aria-label="Versión del juego"
+                  >
+                    <option value="">Más reciente</option>
+                    {species.getFlavorTextVersions(language).map(version => (
+                      <option key={version} value={version}>{version.replace(/-/g, ' ')}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+            )}
+
+            {varieties.length > 1 && (
+              <div className="back-forms">
+                <div className="back-forms-title">Formas</div>
+                <div className="form-switcher" role="group" aria-label="Formas de la especie">
+                  {varieties.map(variety => (
+                    <button
+                      key={variety.id}
+                      type="button"
+                      className={`form-chip ${variety.id === pokemon.id ? 'active' : ''}`}
+                      aria-pressed={variety.id === pokemon.id}
+                      onClick={(e) => { e.stopPropagation(); selectForm(variety); }}
+                    >
+                      {variety.getFormLabel()}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <EvolutionTree chain={evolutionChain} currentSpeciesId={pokemon.getSpeciesId()} />
+
+            {attacks.length > 0 && (
+              <div className="back-attacks">
+                <div className="back-attacks-title">Ataques</div>
+                {attacks.map(move => (
+                  <div key={move.id} className="attack-row">
+                    <div className="attack-main">
+                      <span className={`type-badge type-${move.type} attack-energy`}>{t('type', move.type)}</span>
+                      <span className="attack-name">{move.getLocalizedName(language)}</span>
+                      {move.isDamaging() && <span className="attack-damage">{move.power}</span>}
+                    </div>
+                    <div className="attack-meta">
+                      {DAMAGE_CLASS_ES[move.damageClass] || move.damageClass}
+                      {' · '}Precisión {move.accuracy !== null ? `${move.accuracy}%` : '—'}
+                      {' · '}PP {move.pp ?? '—'}
+                    </div>
+                    <p className="attack-text">{move.getFlavorText(language) || move.getFlavorText('en')}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="back-abilities">
               <div className="back-abilities-title">Habilidades</div>
               <div className="abilities-list scrollable">
-                {(abilitiesEs.length ? abilitiesEs : pokemon.getAbilityNames()).map((ability, idx) => (
-                  <span key={idx} className="ability-badge">
-                    {abilityIcon(ability)} {ability}
-                  </span>
-                ))}
+                {pokemon.getAbilities().map(({ name, isHidden }) => {
+                  const label = t('ability', name);
+                  return (
+                    <button
+                      key={name}
+                      type="button"
+                      className={`ability-badge ${selectedAbility === name ? 'active' : ''} ${isHidden ? 'hidden' : ''}`}
+                      aria-expanded={selectedAbility === name}
+                      title="Ver qué hace esta habilidad"
+                      onClick={(e) => { e.stopPropagation(); setSelectedAbility(prev => (prev === name ? null : name)); }}
+                    >
+                      {abilityIcon(label)} {label}{isHidden && <span className="ability-hidden-tag"> (oculta)</span>}
+                    </button>
+                  );
+                })}
               </div>
             </div>
+            {selectedAbility && (
+              <AbilityDetails
+                key={selectedAbility}
+                abilityName={selectedAbility}
+                pokemonId={pokemon.id}
+                isHidden={pokemon.getAbilities().some(a => a.name === selectedAbility && a.isHidden)}
+                onClose={() => setSelectedAbility(null)}
+              />
+            )}
 
             <div className="back-types">
               {pokemon.getTypeNames().map(type => (
-                <span key={type} className={`type-badge type-${type}`}>{translateType(type)}</span>
+                <span key={type} className={`type-badge type-${type}`}>{t('type', type)}</span>
               ))}
             </div>
-            <div className="back-actions"><button className="cry-button" onClick={(e) => { e.stopPropagation(); playCry(); }}>🔊 Reproducir grito</button></div>
+            {flipped && <TypeMatchups types={pokemon.getTypeNames()} />}
+            <div className="back-actions">
+              <button className="cry-button" onClick={(e) => { e.stopPropagation(); playCry(); }}>🔊 Reproducir grito</button>
+              {onClick && <button className="cry-button" onClick={handleDetailClick}>📖 Ficha completa</button>}
+            </div>
           </div>
         </div>
       </div>
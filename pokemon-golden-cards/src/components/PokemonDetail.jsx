@@ -0,0 +1,350 @@
+/**
+ * PokemonDetail Component
+ * Full detail view opened over the grid (or from /pokemon/:idOrName): artwork
+ * and sprite variants, stat radar, evolution tree, Pokédex entry, moves,
+ * abilities, type matchups and previous/next by National Dex number
+ */
+import { useState, useEffect, useRef } from 'react';
+import './PokemonDetail.css';
+import { pokemonApi, REQUEST_PRIORITY } from '../services/pokemonApi.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import { LEARN_METHODS } from '../models/Pokemon.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+import { useArtStyle } from '../hooks/useArtStyle.js';
+import StatRadar from './StatRadar.jsx';
+import EvolutionTree from './EvolutionTree.jsx';
+import AbilityDetails from './AbilityDetails.jsx';
+import TypeMatchups from './TypeMatchups.jsx';
+
+const LEARN_METHOD_LABELS = { 'level-up': 'Por nivel', machine: 'MT/MO', egg: 'Huevo', tutor: 'Tutor' };
+
+const formatId = (id) => `#${id.toString().padStart(3, '0')}`;
+const formatSlug = (slug) => String(slug || '').replace(/-/g, ' ');
+
+// Controles a los que llega el tabulador dentro de la ficha
+const FOCUSABLE = 'button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Variantes de imagen que se pueden elegir en la galería
+const getVariants = (pokemon) => [
+  { id: 'artwork', label: 'Ilustración', url: pokemon.getOfficialArtworkUrl() },
+  { id: 'artwork-shiny', label: 'Ilustración ✨', url: pokemon.getOfficialArtworkUrl({ shiny: true }) },
+  { id: 'home', label: 'HOME', url: pokemon.getHomeUrl() },
+  { id: 'home-shiny', label: 'HOME ✨', url: pokemon.getHomeUrl({ shiny: true }) },
+  { id: 'sprite', label: 'Sprite', url: pokemon.getSpriteUrl(), pixel: true },
+  { id: 'sprite-back', label: 'Espalda', url: pokemon.getSpriteUrl({ back: true }), pixel: true },
+  { id: 'sprite-shiny', label: 'Sprite ✨', url: pokemon.getSpriteUrl({ shiny: true }), pixel: true },
+  { id: 'dream-world', label: 'Dream World', url: pokemon.getDreamWorldUrl() }
+].filter(variant => variant.url);
+
+const PokemonDetail = ({ idOrName, pokemon: seed = null, onClose, onNavigate }) => {
+  const key = String(idOrName || '').trim().toLowerCase();
+  // La carta pulsada llega ya cargada, con su brillo y su forma: se muestra tal cual
+  const seeded = seed && (seed.name === key || String(seed.id) === key) ? seed : null;
+  const [loaded, setLoaded] = useState({ key: null, pokemon: null, error: null });
+  const pokemon = seeded || (loaded.key === key ? loaded.pokemon : null);
+  const error = !seeded && loaded.key === key ? loaded.error : null;
+
+  const [species, setSpecies] = useState({ id: null, species: null });
+  const [evolution, setEvolution] = useState({ speciesId: null, chain: null });
+  const [speciesCount, setSpeciesCount] = useState(null);
+  // Selecciones que dependen del Pokémon mostrado: se guardan junto a su id
+  const [variant, setVariant] = useState({ pokemonId: null, id: null });
+  const [moveMethod, setMoveMethod] = useState('level-up');
+  const [selectedAbility, setSelectedAbility] = useState({ pokemonId: null, name: null });
+  const { isPixelArt, imageFor } = useArtStyle();
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    if (!key || seeded) return;
+    const controller = new AbortController();
+    pokemonApi.getPokemonByName(key, { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(result => { if (!controller.signal.aborted) setLoaded({ key, pokemon: result, error: null }); })
+      .catch(err => { if (!controller.signal.aborted) setLoaded({ key, pokemon: null, error: err }); });
+    return () => controller.abort();
+  }, [key, seeded]);
+
+  const speciesId = pokemon ? pokemon.getSpeciesId() : null;
+
+  useEffect(() => {
+    if (!pokemon) return;
+    const controller = new AbortController();
+    const options = { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal };
+    pokemonApi.loadSpeciesFor(pokemon, options)
+      .then(result => { if (!controller.signal.aborted) setSpecies({ id: pokemon.id, species: result }); })
+      .catch(() => {});
+    pokemonApi.getPokemonEvolutionChain(pokemon.getSpeciesId(), options)
+      .then(chain => { if (!controller.signal.aborted) setEvolution({ speciesId: pokemon.getSpeciesId(), chain }); })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [pokemon]);
+
+  // La página de fondo no se desplaza mientras la ficha está abierta
+  useEffect(() => {
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    return () => { document.body.style.overflow = previousOverflow; };
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    pokemonApi.getSpeciesCount({ signal: controller.signal })
+      .then(count => { if (!controller.signal.aborted) setSpeciesCount(count); })
+      .catch(() => {});
+    return () => controller.abort();
+  }, []);
+
+  // Navegación por número de Pokédex Nacional (las formas usan el de su especie)
+  const previousId = speciesId && speciesId > 1 ? speciesId - 1 : null;
+  const nextId = speciesId && (!speciesCount || speciesId < speciesCount) ? speciesId + 1 : null;
+
+  // Al cerrar la ficha el foco vuelve a donde estaba (normalmente la carta pulsada)
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    return () => {
+      if (previousFocus && document.contains(previousFocus)) previousFocus.focus();
+    };
+  }, []);
+
+  // El diálogo se sustituye al terminar de cargar: el foco entra en el nuevo si se quedó fuera
+  const hasPokemon = Boolean(pokemon);
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (dialog && !dialog.contains(document.activeElement)) dialog.focus();
+  }, [hasPokemon]);
+
+  // El tabulador no sale de la ficha: del último control vuelve al primero y viceversa
+  const trapFocus = (e) => {
+    const focusable = Array.from(dialogRef.current.querySelectorAll(FOCUSABLE));
+    if (focusable.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === dialogRef.current)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  // Teclado solo dentro de la ficha; las flechas no cambian de Pokémon desde un campo o lista
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    } else if (e.key === 'Tab') {
+      trapFocus(e);
+    } else if (e.target.matches('input, select, textarea')) {
+      return;
+    } else if (e.key === 'ArrowLeft' && previousId) {
+      onNavigate(previousId);
+    } else if (e.key === 'ArrowRight' && nextId) {
+      onNavigate(nextId);
+    }
+  };
+
+  const learnset = pokemon ? pokemon.getLearnset() : null;
+  const moves = learnset ? learnset[moveMethod] || [] : [];
+
+  // Solo se traducen los ataques de la pestaña abierta
+  const { t, language } = useLocalization(pokemon ? [
+    ['pokemon-species', pokemon.getSpeciesId()],
+    ...[previousId, nextId].filter(Boolean).map(id => ['pokemon-species', id]),
+    ...pokemon.getTypeNames().map(type => ['type', type]),
+    ...pokemon.stats.map(stat => ['stat', stat.stat.name]),
+    ...pokemon.getAbilityNames().map(ability => ['ability', ability]),
+    ...moves.map(move => ['move', move.name])
+  ] : []);
+
+  const stop = (e) => e.stopPropagation();
+
+  if (!pokemon) {
+    return (
+      <div className="pokemon-detail-backdrop" onClick={onClose}>
+        <div
+          ref={dialogRef}
+          className="pokemon-detail pokemon-detail-status"
+          onClick={stop}
+          onKeyDown={handleKeyDown}
+          role="dialog"
+          aria-modal="true"
+          aria-label="Ficha del Pokémon"
+          tabIndex={-1}
+        >
+          <button type="button" className="pokemon-detail-close" onClick={onClose} aria-label="Cerrar">✕</button>
+          <p>{error ? getErrorMessage(error, { query: key }) : 'Cargando ficha…'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const displayName = t('pokemon-species', pokemon.getSpeciesId(), pokemon.name);
+  const currentSpecies = species.id === pokemon.id ? species.species : null;
+  const chain = evolution.speciesId === speciesId ? evolution.chain : null;
+
+  const variants = getVariants(pokemon);
+  const defaultVariant = { url: imageFor(pokemon), pixel: isPixelArt };
+  const activeVariant = (variant.pokemonId === pokemon.id && variants.find(v => v.id === variant.id)) || defaultVariant;
+
+  const abilityName = selectedAbility.pokemonId === pokemon.id ? selectedAbility.name : null;
+  const stats = pokemon.stats.map(stat => ({ name: stat.stat.name, value: stat.base_stat }));
+
+  return (
+    <div className="pokemon-detail-backdrop" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="pokemon-detail"
+        onClick={stop}
+        onKeyDown={handleKeyDown}
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Ficha de ${displayName}`}
+        tabIndex={-1}
+      >
+        <header className="pokemon-detail-header">
+          <button
+            type="button"
+            className="pokemon-detail-nav"
+            disabled={!previousId}
+            onClick={() => onNavigate(previousId)}
+            aria-label="Anterior"
+          >
+            ‹ {previousId && <span>{formatId(previousId)} {t('pokemon-species', previousId, '')}</span>}
+          </button>
+          <div className="pokemon-detail-title">
+            <h2>{displayName}</h2>
+            <span className="pokemon-detail-id">{formatId(speciesId)}</span>
+            {pokemon.isAlternateForm() && <span className="pokemon-detail-form">{pokemon.getFormLabel()}</span>}
+          </div>
+          <button
+            type="button"
+            className="pokemon-detail-nav"
+            disabled={!nextId}
+            onClick={() => onNavigate(nextId)}
+            aria-label="Siguiente"
+          >
+            {nextId && <span>{t('pokemon-species', nextId, '')} {formatId(nextId)}</span>} ›
+          </button>
+          <button type="button" className="pokemon-detail-close" onClick={onClose} aria-label="Cerrar">✕</button>
+        </header>
+
+        <div className="pokemon-detail-body">
+          <section className="pokemon-detail-art">
+            <img
+              className={`pokemon-detail-image ${activeVariant.pixel ? 'pixel-art' : ''}`}
+              src={activeVariant.url}
+              alt={displayName}
+            />
+            <div className="pokemon-detail-types">
+              {pokemon.getTypeNames().map(type => (
+                <span key={type} className={`type-badge type-${type}`}>{t('type', type)}</span>
+              ))}
+            </div>
+            {variants.length > 1 && (
+              <div className="pokemon-detail-variants" role="group" aria-label="Variantes">
+                {variants.map(v => (
+                  <button
+                    key={v.id}
+                    type="button"
+                    className={`variant-thumb ${activeVariant.url === v.url ? 'active' : ''}`}
+                    onClick={() => setVariant({ pokemonId: pokemon.id, id: v.id })}
+                    title={v.label}
+                  >
+                    <img src={v.url} alt={v.label} className={v.pixel ? 'pixel-art' : ''} loading="lazy" />
+                  </button>
+                ))}
+              </div>
+            )}
+          </section>
+
+          <section className="pokemon-detail-section">
+            <h3>Estadísticas base</h3>
+            <StatRadar stats={stats} label={(name) => t('stat', name)} />
+            <p className="pokemon-detail-total">Total: <strong>{pokemon.getStatTotal()}</strong></p>
+          </section>
+
+          <section className="pokemon-detail-section">
+            <h3>Pokédex</h3>
+            {currentSpecies ? (
+              <>
+                <p className="pokemon-detail-genus">{currentSpecies.getGenus(language)}</p>
+                <p className="pokemon-detail-flavor">
+                  {currentSpecies.getFlavorText(language) || currentSpecies.getFlavorText('en') || 'Sin entrada de Pokédex.'}
+                </p>
+              </>
+            ) : (
+              <p className="pokemon-detail-flavor">Cargando…</p>
+            )}
+            <p className="pokemon-detail-measures">
+              Altura {(pokemon.height / 10).toFixed(1)} m · Peso {(pokemon.weight / 10).toFixed(1)} kg
+            </p>
+            {chain && <EvolutionTree chain={chain} currentSpeciesId={speciesId} onSelect={onNavigate} />}
+          </section>
+
+          <section className="pokemon-detail-section">
+            <h3>Habilidades</h3>
+            <div className="pokemon-detail-abilities">
+              {pokemon.getAbilities().map(({ name, isHidden }) => (
+                <button
+                  key={name}
+                  type="button"
+                  className={`ability-badge ${abilityName === name ? 'active' : ''}`}
+                  onClick={() => setSelectedAbility({ pokemonId: pokemon.id, name: abilityName === name ? null : name })}
+                >
+                  {t('ability', name, formatSlug(name))}{isHidden && <span className="ability-hidden-tag"> (oculta)</span>}
+                </button>
+              ))}
+            </div>
+            {abilityName && (
+              <AbilityDetails
+                key={abilityName}
+                abilityName={abilityName}
+                pokemonId={pokemon.id}
+                isHidden={pokemon.getAbilities().some(a => a.name === abilityName && a.isHidden)}
+                onClose={() => setSelectedAbility({ pokemonId: pokemon.id, name: null })}
+              />
+            )}
+            <h3>Debilidades y resistencias</h3>
+            <TypeMatchups types={pokemon.getTypeNames()} />
+          </section>
+
+          <section className="pokemon-detail-section pokemon-detail-moves">
+            <h3>Movimientos {learnset?.versionGroup && <small>({formatSlug(learnset.versionGroup)})</small>}</h3>
+            <div className="move-method-tabs" role="tablist">
+              {LEARN_METHODS.map(method => (
+                <button
+                  key={method}
+                  type="button"
+                  role="tab"
+                  aria-selected={moveMethod === method}
+                  className={`move-method-tab ${moveMethod === method ? 'active' : ''}`}
+                  onClick={() => setMoveMethod(method)}
+                >
+                  {LEARN_METHOD_LABELS[method]} ({learnset ? learnset[method].length : 0})
+                </button>
+              ))}
+            </div>
+            {moves.length === 0 ? (
+              <p className="pokemon-detail-flavor">Ninguno.</p>
+            ) : (
+              <ul className="move-list">
+                {moves.map(move => (
+                  <li key={`${move.name}-${move.level}`}>
+                    {moveMethod === 'level-up' && <span className="move-level">Nv. {move.level || '—'}</span>}
+                    <span className="move-name">{t('move', move.name, formatSlug(move.name))}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PokemonDetail;
@@ -12,6 +12,8 @@ const PokemonGrid = ({
   isFavorite, 
   onPokemonClick,
   hasMore = false,
+  onLoadMore,
+  totalCount = null,
   error = null,
   highlightIds = []
 }) => {
@@ -50,6 +52,7 @@ const PokemonGrid = ({
               pokemon={poke}
               onFavorite={onFavorite}
               isFavorite={isFavorite(poke.id)}
+              isFavoriteId={isFavorite}
               onClick={onPokemonClick}
             />
           </div>
@@ -79,10 +82,18 @@ const PokemonGrid = ({
       {/* Results Info */}
       {pokemon.length > 0 && (
         <div className="results-info">
-          <span>Mostrando {pokemon.length} Pokémon</span>
+          <span>Mostrando {pokemon.length}{totalCount ? ` de ${totalCount}` : ''} Pokémon</span>
           {hasMore && <span> • Hay más disponibles</span>}
         </div>
       )}
+
+      {hasMore && onLoadMore && !loading && (
+        <div className="load-more-container">
+          <button type="button" className="load-more-button" onClick={onLoadMore}>
+            <span className="load-more-icon">⬇️</span> Cargar más
+          </button>
+        </div>
+      )}
     </div>
   );
 };
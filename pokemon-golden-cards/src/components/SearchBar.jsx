@@ -1,27 +1,128 @@
 /**
  * SearchBar Component
  * Provides search functionality with modern UI
+ * Accepts names, numbers or filters such as "tipo:agua gen:1 total>450"
  */
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import './SearchBar.css';
+import { parseSearchQuery } from '../services/searchQuery.js';
+import { pokemonApi, REQUEST_PRIORITY } from '../services/pokemonApi.js';
+import { Pokemon, FORM_ID_OFFSET } from '../models/Pokemon.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+import { useSearchHistory } from '../hooks/useSearchHistory.js';
+
+const MAX_SUGGESTIONS = 8;
+const SUGGESTION_DELAY = 150; // ms
 
 const SearchBar = ({ 
   searchTerm = '', 
-  onSearchChange
+  onSearchChange,
+  onSelectSuggestion,
+  error = null
 }) => {
   const [query, setQuery] = useState(searchTerm);
+  // Autocompletado: sugerencias del índice local (sin peticiones por tecla)
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggestionsOpen, setSuggestionsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Nombres localizados de las sugerencias visibles (las formas no tienen especie propia)
+  const { t } = useLocalization(
+    suggestions.filter(hit => hit.id && hit.id <= FORM_ID_OFFSET).map(hit => ['pokemon-species', hit.id])
+  );
+  // Historial reciente y búsquedas guardadas (persistidos por perfil)
+  const { history, savedSearches, addToHistory, removeFromHistory, clearHistory, saveSearch, removeSavedSearch } = useSearchHistory();
+  const [savingName, setSavingName] = useState(null);
 
   useEffect(() => {
     setQuery(searchTerm);
   }, [searchTerm]);
 
+  // Errores de sintaxis en vivo, mostrados bajo el campo
+  const parsedQuery = useMemo(() => parseSearchQuery(query), [query]);
+  const syntaxErrors = parsedQuery.errors;
+
+  useEffect(() => {
+    const text = query.trim();
+    if (!text || parsedQuery.structured) {
+      setSuggestions([]);
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      pokemonApi.suggestPokemon(text, MAX_SUGGESTIONS, { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+        .then(hits => {
+          if (controller.signal.aborted) return;
+          setSuggestions(hits);
+          setActiveIndex(-1);
+        })
+        .catch(() => {});
+    }, SUGGESTION_DELAY);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query, parsedQuery.structured]);
+
+  const showSuggestions = suggestionsOpen && suggestions.length > 0;
+
+  const closeSuggestions = () => {
+    setSuggestionsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const selectSuggestion = (hit) => {
+    setQuery(hit.name);
+    closeSuggestions();
+    addToHistory(hit.name);
+    if (onSelectSuggestion) onSelectSuggestion(hit);
+    else if (onSearchChange) onSearchChange(hit.name);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      closeSuggestions();
+      return;
+    }
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setSuggestionsOpen(true);
+      setActiveIndex(prev => (prev + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && showSuggestions && activeIndex >= 0) {
+      e.preventDefault();
+      selectSuggestion(suggestions[activeIndex]);
+    }
+  };
+
+  const suggestionLabel = (hit) => t('pokemon-species', hit.id, hit.name.replace(/-/g, ' '));
+
   const handleSubmit = (e) => {
     e.preventDefault();
+    closeSuggestions();
+    if (syntaxErrors.length > 0) return;
+    addToHistory(query);
     if (onSearchChange) {
       onSearchChange(query.trim());
     }
   };
 
+  // Repetir una búsqueda desde los chips
+  const runSearch = (savedQuery) => {
+    setQuery(savedQuery);
+    closeSuggestions();
+    addToHistory(savedQuery);
+    if (onSearchChange) onSearchChange(savedQuery);
+  };
+
+  const handleSaveSearch = (e) => {
+    e.preventDefault();
+    if (!savingName?.trim() || !query.trim()) return;
+    saveSearch(savingName, query);
+    setSavingName(null);
+  };
+
   const handleClear = () => {
     setQuery('');
     if (onSearchChange) onSearchChange('');
@@ -30,38 +131,91 @@ const SearchBar = ({
   const handleChange = (e) => {
     const value = e.target.value;
     setQuery(value);
+    setSuggestionsOpen(true);
     // Si el usuario borra todo, notificar al padre para recargar iniciales
     if (value.trim() === '') {
       onSearchChange && onSearchChange('');
     }
   };
 
-  const handleRandomSearch = () => {
-    const randomPokemon = Math.floor(Math.random() * 1010) + 1;
-    const randomQuery = randomPokemon.toString();
-    setQuery(randomQuery);
-    if (onSearchChange) onSearchChange(randomQuery);
+  // Sorteo uniforme entre todas las especies, como la rotación de cartas
+  const handleRandomSearch = async () => {
+    try {
+      const [randomPokemon] = await pokemonApi.getRandomPokemon(1, { priority: REQUEST_PRIORITY.HIGH });
+      if (!randomPokemon) return;
+      const randomQuery = randomPokemon.id.toString();
+      setQuery(randomQuery);
+      if (onSearchChange) onSearchChange(randomQuery);
+    } catch (error) {
+      console.error('Error en búsqueda aleatoria:', error);
+    }
   };
 
   return (
     <div className="search-bar">
       <form className="search-form" onSubmit={handleSubmit}>
         <div className="search-input-container">
-          <input
-            type="text"
-            className="search-input"
-            placeholder="Buscar Pokémon por nombre o número..."
-            value={query}
-            onChange={handleChange}
-          />
+          <div className="search-combobox">
+            <input
+              type="text"
+              className="search-input"
+              placeholder="Nombre, número o filtros: tipo:agua gen:1 total>450"
+              value={query}
+              onChange={handleChange}
+              onKeyDown={handleKeyDown}
+              // Prepara el índice de búsqueda en cuanto el usuario entra al campo
+              onFocus={() => pokemonApi.getSearchIndex({ priority: REQUEST_PRIORITY.LOW }).catch(() => {})}
+              onBlur={closeSuggestions}
+              role="combobox"
+              aria-autocomplete="list"
+              aria-expanded={showSuggestions}
+              aria-controls="search-suggestions"
+              aria-activedescendant={showSuggestions && activeIndex >= 0 ? `search-suggestion-${suggestions[activeIndex].id}` : undefined}
+              aria-invalid={syntaxErrors.length > 0}
+              aria-describedby="search-syntax-help"
+            />
+            {showSuggestions && (
+              <ul id="search-suggestions" className="search-suggestions" role="listbox" aria-label="Sugerencias">
+                {suggestions.map((hit, index) => (
+                  <li
+                    key={hit.id}
+                    id={`search-suggestion-${hit.id}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+                    // mousedown evita que el blur del input cierre la lista antes del clic
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => selectSuggestion(hit)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                  >
+                    <img src={Pokemon.getSpriteUrlById(hit.id)} alt="" className="suggestion-sprite" loading="lazy" />
+                    <span className="suggestion-number">#{String(hit.id).padStart(3, '0')}</span>
+                    <span className="suggestion-name">{suggestionLabel(hit)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
           <button 
             type="submit" 
             className="search-button"
-            disabled={!query.trim()}
+            disabled={!query.trim() || syntaxErrors.length > 0}
           >
             🔍
           </button>
         </div>
+        {syntaxErrors.length > 0 ? (
+          <ul className="search-syntax-errors" role="alert">
+            {syntaxErrors.map(({ message, token, start }) => (
+              <li key={`${start}-${token}`}><code>{token}</code> {message}</li>
+            ))}
+          </ul>
+        ) : (
+          <p id="search-syntax-help" className="search-syntax-help">
+            Filtros: <code>tipo:</code> <code>gen:</code> <code>total&gt;</code> <code>habilidad:</code> <code>velocidad&gt;=</code> <code>-favoritos</code>
+          </p>
+        )}
+        {error && <p className="search-error" role="alert">{error}</p>}
       </form>
 
       <div className="search-controls">
@@ -84,7 +238,74 @@ const SearchBar = ({
             ❌ Limpiar
           </button>
         )}
+
+        {query.trim() && syntaxErrors.length === 0 && savingName === null && (
+          <button
+            type="button"
+            className="save-search-button"
+            onClick={() => setSavingName('')}
+            title="Guardar esta búsqueda"
+          >
+            📌 Guardar búsqueda
+          </button>
+        )}
       </div>
+
+      {savingName !== null && (
+        <form className="save-search-form" onSubmit={handleSaveSearch}>
+          <input
+            type="text"
+            className="save-search-input"
+            value={savingName}
+            onChange={(e) => setSavingName(e.target.value)}
+            placeholder={`Nombre para "${query.trim()}"`}
+            aria-label="Nombre de la búsqueda guardada"
+            maxLength={40}
+            autoFocus
+          />
+          <button type="submit" className="save-search-confirm" disabled={!savingName.trim()}>Guardar</button>
+          <button type="button" className="save-search-cancel" onClick={() => setSavingName(null)}>Cancelar</button>
+        </form>
+      )}
+
+      {(savedSearches.length > 0 || history.length > 0) && (
+        <div className="search-chips">
+          {savedSearches.length > 0 && (
+            <div className="chip-group" role="group" aria-label="Búsquedas guardadas">
+              <span className="chip-group-label">Guardadas</span>
+              {savedSearches.map(saved => (
+                <span key={saved.id} className="search-chip saved">
+                  <button type="button" className="chip-run" onClick={() => runSearch(saved.query)} title={saved.query}>
+                    ⭐ {saved.name}
+                  </button>
+                  <button type="button" className="chip-remove" onClick={() => removeSavedSearch(saved.id)} aria-label={`Eliminar búsqueda guardada ${saved.name}`}>
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          {history.length > 0 && (
+            <div className="chip-group" role="group" aria-label="Búsquedas recientes">
+              <span className="chip-group-label">Recientes</span>
+              {history.map(recent => (
+                <span key={recent} className="search-chip">
+                  <button type="button" className="chip-run" onClick={() => runSearch(recent)}>
+                    🕘 {recent}
+                  </button>
+                  <button type="button" className="chip-remove" onClick={() => removeFromHistory(recent)} aria-label={`Quitar ${recent} del historial`}>
+                    ×
+                  </button>
+                </span>
+              ))}
+              <button type="button" className="chip-clear" onClick={clearHistory}>
+                Borrar historial
+              </button>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,28 @@
+/**
+ * ShinyOddsSelector Component
+ * Chooses the "1 in N" odds of drawing a shiny card (saved by the shiny service)
+ */
+import { DEFAULT_SHINY_ODDS } from '../services/shiny.js';
+
+// 1/4096 y 1/8192 son las probabilidades de los juegos
+const ODDS_PRESETS = [16, 128, DEFAULT_SHINY_ODDS, 4096, 8192];
+
+const ShinyOddsSelector = ({ odds, onChange }) => {
+  // Un valor guardado a mano que no está en la lista también se muestra
+  const options = ODDS_PRESETS.includes(odds) ? ODDS_PRESETS : [...ODDS_PRESETS, odds].sort((a, b) => a - b);
+
+  return (
+    <label className="language-selector shiny-odds-selector">
+      <span className="language-selector-label">✨ Probabilidad de variocolor</span>
+      <select value={odds} onChange={(e) => onChange && onChange(Number(e.target.value))}>
+        {options.map(value => (
+          <option key={value} value={value}>
+            1 entre {value.toLocaleString('es-ES')}{value === DEFAULT_SHINY_ODDS ? ' (por defecto)' : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default ShinyOddsSelector;
@@ -0,0 +1,38 @@
+/**
+ * SortSelector Component
+ * Order of filtered search results; the choice is written to the URL as ?orden=
+ */
+import { parseSort, formatSort } from '../services/router.js';
+import { MAX_DETAIL_SORT_CANDIDATES } from '../services/pokemonApi.js';
+
+// Estadísticas y tipo piden los datos de cada resultado antes de ordenar
+const detailNote = ` (máx. ${MAX_DETAIL_SORT_CANDIDATES} resultados)`;
+
+const SORT_OPTIONS = [
+  { sortBy: 'id', sortOrder: 'asc', label: 'Número ↑' },
+  { sortBy: 'id', sortOrder: 'desc', label: 'Número ↓' },
+  { sortBy: 'name', sortOrder: 'asc', label: 'Nombre A-Z' },
+  { sortBy: 'name', sortOrder: 'desc', label: 'Nombre Z-A' },
+  { sortBy: 'stats', sortOrder: 'desc', label: `Estadísticas ↓${detailNote}` },
+  { sortBy: 'stats', sortOrder: 'asc', label: `Estadísticas ↑${detailNote}` },
+  { sortBy: 'type', sortOrder: 'asc', label: `Tipo${detailNote}` }
+];
+
+const optionValue = ({ sortBy, sortOrder }) => formatSort(sortBy, sortOrder) || 'numero';
+
+const SortSelector = ({ sort, onChange, disabled = false }) => (
+  <label className="language-selector sort-selector">
+    <span className="language-selector-label">↕️ Ordenar resultados</span>
+    <select
+      value={optionValue(sort)}
+      onChange={(e) => onChange && onChange(parseSort(e.target.value))}
+      disabled={disabled}
+    >
+      {SORT_OPTIONS.map(option => (
+        <option key={optionValue(option)} value={optionValue(option)}>{option.label}</option>
+      ))}
+    </select>
+  </label>
+);
+
+export default SortSelector;
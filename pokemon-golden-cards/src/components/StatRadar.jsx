@@ -0,0 +1,51 @@
+/**
+ * StatRadar Component
+ * Base stats as a radar (spider) chart in plain SVG
+ */
+
+const GRID_LEVELS = [0.25, 0.5, 0.75, 1];
+
+const StatRadar = ({ stats = [], max = 255, size = 240, label = (name) => name }) => {
+  if (stats.length < 3) return null;
+
+  const center = size / 2;
+  const radius = size / 2 - 40;
+
+  // Primer eje hacia arriba, en el sentido de las agujas del reloj
+  const point = (index, ratio) => {
+    const angle = -Math.PI / 2 + (index * 2 * Math.PI) / stats.length;
+    return [center + Math.cos(angle) * radius * ratio, center + Math.sin(angle) * radius * ratio];
+  };
+  const polygon = (ratioFor) => stats
+    .map((stat, index) => point(index, ratioFor(stat)).map(n => n.toFixed(1)).join(','))
+    .join(' ');
+
+  return (
+    <svg
+      className="stat-radar"
+      viewBox={`0 0 ${size} ${size}`}
+      role="img"
+      aria-label={stats.map(stat => `${label(stat.name)}: ${stat.value}`).join(', ')}
+    >
+      {GRID_LEVELS.map(level => (
+        <polygon key={level} className="stat-radar-grid" points={polygon(() => level)} />
+      ))}
+      {stats.map((stat, index) => {
+        const [x, y] = point(index, 1);
+        return <line key={stat.name} className="stat-radar-axis" x1={center} y1={center} x2={x} y2={y} />;
+      })}
+      <polygon className="stat-radar-area" points={polygon(stat => Math.min(stat.value / max, 1))} />
+      {stats.map((stat, index) => {
+        const [x, y] = point(index, 1.28);
+        return (
+          <text key={stat.name} className="stat-radar-label" x={x} y={y - 6} textAnchor="middle">
+            {label(stat.name)}
+            <tspan className="stat-radar-value" x={x} dy="1.15em">{stat.value}</tspan>
+          </text>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default StatRadar;
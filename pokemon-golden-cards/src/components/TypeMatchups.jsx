@@ -0,0 +1,56 @@
+/**
+ * TypeMatchups Component
+ * Weaknesses and resistances of a single or dual type (card back)
+ */
+import { useState, useEffect } from 'react';
+import './TypeMatchups.css';
+import { pokemonApi, REQUEST_PRIORITY } from '../services/pokemonApi.js';
+import { formatMultiplier } from '../services/typeEffectiveness.js';
+import { useLocalization } from '../hooks/useLocalization.js';
+
+const TypeMatchups = ({ types = [] }) => {
+  const typesKey = types.join('+');
+  const [matchups, setMatchups] = useState({ key: null, weaknesses: [], resistances: [] });
+
+  useEffect(() => {
+    if (!typesKey) return;
+    const controller = new AbortController();
+    pokemonApi.getWeaknessesAndResistances(typesKey.split('+'), { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .then(result => { if (!controller.signal.aborted) setMatchups({ key: typesKey, ...result }); })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [typesKey]);
+
+  const ready = matchups.key === typesKey;
+  const { t } = useLocalization(
+    ready ? [...matchups.weaknesses, ...matchups.resistances].map(({ type }) => ['type', type]) : []
+  );
+
+  if (!ready) return null;
+
+  const renderList = (entries) => (
+    <div className="type-matchups-list">
+      {entries.length === 0 && <span className="type-matchups-empty">Ninguna</span>}
+      {entries.map(({ type, multiplier }) => (
+        <span key={type} className={`type-badge type-${type} matchup-badge`}>
+          {t('type', type)} <strong>{formatMultiplier(multiplier)}</strong>
+        </span>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="type-matchups">
+      <div className="type-matchups-row">
+        <span className="type-matchups-label">Débil a</span>
+        {renderList(matchups.weaknesses)}
+      </div>
+      <div className="type-matchups-row">
+        <span className="type-matchups-label">Resiste</span>
+        {renderList(matchups.resistances)}
+      </div>
+    </div>
+  );
+};
+
+export default TypeMatchups;
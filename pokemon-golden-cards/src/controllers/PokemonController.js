@@ -2,10 +2,19 @@
  * Pokemon Controller
  * Implements MVC pattern and manages Pokemon data state
  */
-import { pokemonApi } from '../services/pokemonApi.js';
+import { pokemonApi, isAbortError } from '../services/pokemonApi.js';
+import { getErrorMessage } from '../services/apiErrors.js';
+import { parseSearchQuery, resolveFavorites, createEmptyFilters } from '../services/searchQuery.js';
+import { searchHistory } from '../services/searchHistory.js';
+import { shiny as shinyService } from '../services/shiny.js';
 
 export class PokemonController {
-  constructor() {
+  // The API service can be swapped (e.g. one backed by fixtures) for deterministic runs
+  constructor({ api = pokemonApi, history = searchHistory, shiny = shinyService } = {}) {
+    this.api = api;
+    this.history = history;
+    // Decides once whether each randomly drawn card is shiny
+    this.shiny = shiny;
     this.state = {
       pokemon: [],
       loading: false,
@@ -18,13 +27,15 @@ export class PokemonController {
       pageSize: 20,
       totalCount: 0,
       favorites: this.loadFavorites(),
-      filters: {
-        minStats: null,
-        maxStats: null
-      }
+      filters: createEmptyFilters(),
+      // Last filterPokemon request and its cursor, for "load more"
+      filterRequest: null,
+      nextCursor: null,
+      hasMore: false
     };
     
     this.listeners = new Map();
+    this.activeRequest = null;
     this.soundEnabled = true;
     this.initializeAudio();
   }
@@ -129,30 +140,73 @@ export class PokemonController {
     this.setState({ error: null });
   }
 
+  // Request cancellation: starting a new search, filter or load aborts the previous one
+  beginRequest() {
+    this.cancelPendingRequests();
+    this.activeRequest = new AbortController();
+    return this.activeRequest.signal;
+  }
+
+  cancelPendingRequests() {
+    if (this.activeRequest) {
+      this.activeRequest.abort();
+      this.activeRequest = null;
+    }
+  }
+
+  isCurrentRequest(signal) {
+    return this.activeRequest?.signal === signal;
+  }
+
+  endRequest(signal) {
+    if (!this.isCurrentRequest(signal)) return;
+    this.activeRequest = null;
+    this.setLoading(false);
+  }
+
   // Pokemon data operations
   async loadInitialPokemon() {
+    const signal = this.beginRequest();
     try {
       this.setLoading(true);
-      const pokemon = await pokemonApi.getRandomPokemon(this.state.pageSize);
+      const pokemon = this.shiny.drawCards(await this.api.getRandomPokemon(this.state.pageSize, { signal }));
+      if (!this.isCurrentRequest(signal)) return;
       this.setState({ 
         pokemon,
         totalCount: pokemon.length,
-        currentPage: 1
+        currentPage: 1,
+        filterRequest: null,
+        nextCursor: null,
+        // Discovery can always draw more cards
+        hasMore: true
       });
       this.emit('pokemonLoaded', pokemon);
     } catch (error) {
-      this.setError(`Failed to load Pokemon: ${error.message}`);
+      if (isAbortError(error) || !this.isCurrentRequest(signal)) return;
+      this.setError(getErrorMessage(error));
     } finally {
-      this.setLoading(false);
+      this.endRequest(signal);
     }
   }
 
   async loadMorePokemon() {
-    if (this.state.loading) return;
+    if (this.state.loading || !this.state.hasMore) return;
+    if (this.state.filterRequest) {
+      const results = await this.runFilter(this.state.filterRequest, { append: true });
+      if (results) this.emit('pokemonLoaded', results);
+      return;
+    }
 
+    const signal = this.beginRequest();
     try {
       this.setLoading(true);
-      const newPokemon = await pokemonApi.getRandomPokemon(this.state.pageSize);
+      // Draw only cards that are not on screen yet
+      const newPokemon = this.shiny.drawCards(await this.api.sampleRandomPokemon(
+        this.state.pageSize,
+        { excludeIds: this.state.pokemon.map(p => p.id) },
+        { signal }
+      ));
+      if (!this.isCurrentRequest(signal)) return;
       
       this.setState({
         pokemon: [...this.state.pokemon, ...newPokemon],
@@ -162,9 +216,10 @@ export class PokemonController {
       
       this.emit('pokemonLoaded', newPokemon);
     } catch (error) {
-      this.setError(`Failed to load more Pokemon: ${error.message}`);
+      if (isAbortError(error) || !this.isCurrentRequest(signal)) return;
+      this.setError(getErrorMessage(error));
     } finally {
-      this.setLoading(false);
+      this.endRequest(signal);
     }
   }
 
@@ -173,16 +228,29 @@ export class PokemonController {
       return this.loadInitialPokemon();
     }
 
+    this.history.addToHistory(query);
+
+    // "tipo:agua gen:1 total>450" goes through the filter engine
+    const parsed = parseSearchQuery(query);
+    if (parsed.structured || parsed.errors.length > 0) {
+      return this.filterByQuery(query, parsed);
+    }
+
+    const signal = this.beginRequest();
     try {
       this.setLoading(true);
       this.setState({ searchQuery: query });
       
-      const results = await pokemonApi.searchPokemon(query, this.state.pageSize);
+      const results = await this.api.searchPokemon(query, this.state.pageSize, { signal });
+      if (!this.isCurrentRequest(signal)) return;
       
       this.setState({
         pokemon: results,
         totalCount: results.length,
-        currentPage: 1
+        currentPage: 1,
+        filterRequest: null,
+        nextCursor: null,
+        hasMore: false
       });
       
       this.emit('searchCompleted', { query, results });
@@ -195,52 +263,77 @@ export class PokemonController {
         });
       }
     } catch (error) {
-      this.setError(`Search failed: ${error.message}`);
+      if (isAbortError(error) || !this.isCurrentRequest(signal)) return;
+      this.setError(getErrorMessage(error, { query }));
     } finally {
-      this.setLoading(false);
+      this.endRequest(signal);
     }
   }
 
-  async filterByType(types) {
+  async filterByQuery(query, parsed = parseSearchQuery(query)) {
+    const { filters, errors } = parsed;
+    if (errors.length > 0) {
+      this.setError(errors.map(error => error.message).join('. '));
+      return;
+    }
+
+    this.setState({ searchQuery: query, filters, selectedTypes: filters.types });
+    const results = await this.runFilter(resolveFavorites(filters, this.state.favorites));
+    if (results) {
+      this.emit('filterApplied', { query, filters, results });
+      this.playSound('search');
+    }
+  }
+
+  // `mode`: 'any' shows Pokémon of any selected type, 'all' only those with every type
+  async filterByType(types, { mode = 'any' } = {}) {
     if (!Array.isArray(types)) {
       types = [types];
     }
 
-    try {
-      this.setLoading(true);
+    if (types.length === 0) {
       this.setState({ selectedTypes: types });
+      return this.loadInitialPokemon();
+    }
 
-      if (types.length === 0) {
-        return this.loadInitialPokemon();
-      }
+    this.setState({ selectedTypes: types });
+    const results = await this.runFilter({ types, typeMode: mode });
+    if (results) {
+      this.emit('filterApplied', { types, mode, results });
+    }
+  }
 
-      const allResults = [];
-      for (const type of types) {
-        const results = await pokemonApi.filterPokemon({
-          type,
-          limit: this.state.pageSize,
-          sortBy: this.state.sortBy,
-          sortOrder: this.state.sortOrder
-        });
-        allResults.push(...results);
-      }
+  // Runs filterPokemon and remembers the request so loadMorePokemon can continue it
+  async runFilter(filterRequest, { append = false } = {}) {
+    const signal = this.beginRequest();
+    try {
+      this.setLoading(true);
 
-      // Remove duplicates
-      const uniqueResults = allResults.filter((pokemon, index, self) =>
-        index === self.findIndex(p => p.id === pokemon.id)
-      );
+      const page = await this.api.filterPokemon({
+        ...filterRequest,
+        limit: this.state.pageSize,
+        sortBy: this.state.sortBy,
+        sortOrder: this.state.sortOrder,
+        cursor: append ? this.state.nextCursor : null
+      }, { signal });
+      if (!this.isCurrentRequest(signal)) return null;
 
+      const pokemon = append ? [...this.state.pokemon, ...page.results] : page.results;
       this.setState({
-        pokemon: uniqueResults,
-        totalCount: uniqueResults.length,
-        currentPage: 1
+        pokemon,
+        totalCount: pokemon.length,
+        currentPage: append ? this.state.currentPage + 1 : 1,
+        filterRequest,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore
       });
-
-      this.emit('filterApplied', { types, results: uniqueResults });
+      return page.results;
     } catch (error) {
-      this.setError(`Filter failed: ${error.message}`);
+      if (isAbortError(error) || !this.isCurrentRequest(signal)) return null;
+      this.setError(getErrorMessage(error));
+      return null;
     } finally {
-      this.setLoading(false);
+      this.endRequest(signal);
     }
   }
 
@@ -333,31 +426,38 @@ export class PokemonController {
   async loadFavoritePokemon() {
     const favoriteIds = this.state.favorites;
     if (favoriteIds.length === 0) {
-      this.setState({ pokemon: [] });
+      this.cancelPendingRequests();
+      this.setState({ pokemon: [], loading: false, filterRequest: null, nextCursor: null, hasMore: false });
       return;
     }
 
+    const signal = this.beginRequest();
     try {
       this.setLoading(true);
-      const favorites = await pokemonApi.getPokemonBatch(favoriteIds);
+      const favorites = await this.api.getPokemonBatch(favoriteIds, { signal });
+      if (!this.isCurrentRequest(signal)) return;
       this.setState({ 
         pokemon: favorites,
-        totalCount: favorites.length
+        totalCount: favorites.length,
+        filterRequest: null,
+        nextCursor: null,
+        hasMore: false
       });
       this.emit('favoritesLoaded', favorites);
     } catch (error) {
-      this.setError(`Failed to load favorites: ${error.message}`);
+      if (isAbortError(error) || !this.isCurrentRequest(signal)) return;
+      this.setError(getErrorMessage(error));
     } finally {
-      this.setLoading(false);
+      this.endRequest(signal);
     }
   }
 
   // Utility methods
   async getPokemonById(id) {
     try {
-      return await pokemonApi.getPokemonById(id);
+      return await this.api.getPokemonById(id);
     } catch (error) {
-      this.setError(`Failed to load Pokemon ${id}: ${error.message}`);
+      this.setError(getErrorMessage(error, { query: String(id) }));
       return null;
     }
   }
@@ -365,7 +465,7 @@ export class PokemonController {
   async getRandomPokemon(count = 1) {
     try {
       this.setLoading(true);
-      const pokemon = await pokemonApi.getRandomPokemon(count);
+      const pokemon = this.shiny.drawCards(await this.api.getRandomPokemon(count));
       
       if (count === 1) {
         this.emit('pokemonSelected', pokemon[0]);
@@ -375,7 +475,7 @@ export class PokemonController {
       
       return pokemon;
     } catch (error) {
-      this.setError(`Failed to get random Pokemon: ${error.message}`);
+      this.setError(getErrorMessage(error));
       return null;
     } finally {
       this.setLoading(false);
@@ -388,6 +488,7 @@ export class PokemonController {
   }
 
   reset() {
+    this.cancelPendingRequests();
     this.setState({
       pokemon: [],
       loading: false,
@@ -395,10 +496,10 @@ export class PokemonController {
       searchQuery: '',
       selectedTypes: [],
       currentPage: 1,
-      filters: {
-        minStats: null,
-        maxStats: null
-      }
+      filters: createEmptyFilters(),
+      filterRequest: null,
+      nextCursor: null,
+      hasMore: false
     });
     this.loadInitialPokemon();
   }
@@ -0,0 +1,31 @@
+/**
+ * Custom React Hook for the card art style
+ * Re-renders when the style changes and resolves Pokémon images with it
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { artStyle as artStyleService, ART_STYLES, getArtStyle } from '../services/artStyle.js';
+
+export function useArtStyle(service = artStyleService) {
+  const [artStyle, setArtStyleState] = useState(service.getStyle());
+
+  useEffect(() => service.subscribe(setArtStyleState), [service]);
+
+  const setArtStyle = useCallback((id) => service.setStyle(id), [service]);
+
+  // artStyle is a dependency so the function changes (and images update) with the style
+  const imageFor = useCallback(
+    (pokemon, options) => service.getImageUrl(pokemon, options),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [service, artStyle]
+  );
+
+  return {
+    artStyle,
+    artStyles: ART_STYLES,
+    isPixelArt: Boolean(getArtStyle(artStyle).pixel),
+    setArtStyle,
+    imageFor
+  };
+}
+
+export default useArtStyle;
@@ -0,0 +1,47 @@
+/**
+ * Custom React Hook for localized PokéAPI names
+ * Preloads the requested [resource, idOrName] pairs and re-renders as they arrive
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { localization, SUPPORTED_LANGUAGES } from '../services/localization.js';
+import { REQUEST_PRIORITY } from '../services/pokemonApi.js';
+
+export function useLocalization(entries = []) {
+  const [language, setLanguageState] = useState(localization.getLanguage());
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => localization.subscribe((current) => {
+    setLanguageState(current);
+    setRevision(r => r + 1);
+  }), []);
+
+  // Entries are usually rebuilt on every render; compare them by value
+  const entriesKey = JSON.stringify(entries);
+  useEffect(() => {
+    const pairs = JSON.parse(entriesKey);
+    if (pairs.length === 0) return;
+    const controller = new AbortController();
+    localization
+      .preload(pairs, { priority: REQUEST_PRIORITY.HIGH, signal: controller.signal })
+      .catch(() => {});
+    return () => controller.abort();
+  }, [entriesKey]);
+
+  const t = useCallback(
+    (resource, idOrName, fallback) => localization.translate(resource, idOrName, fallback, language),
+    // revision forces a new function (and re-render) when names finish loading
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [language, revision]
+  );
+
+  const setLanguage = useCallback((code) => localization.setLanguage(code), []);
+
+  return {
+    language,
+    languages: SUPPORTED_LANGUAGES,
+    setLanguage,
+    t
+  };
+}
+
+export default useLocalization;
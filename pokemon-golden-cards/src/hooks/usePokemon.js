@@ -4,6 +4,7 @@
  */
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { PokemonController } from '../controllers/PokemonController.js';
+import { createEmptyFilters } from '../services/searchQuery.js';
 
 export function usePokemon() {
   const controllerRef = useRef(null);
@@ -19,10 +20,10 @@ export function usePokemon() {
     pageSize: 20,
     totalCount: 0,
     favorites: [],
-    filters: {
-      minStats: null,
-      maxStats: null
-    }
+    filters: createEmptyFilters(),
+    filterRequest: null,
+    nextCursor: null,
+    hasMore: false
   });
 
   const [notifications, setNotifications] = useState([]);
@@ -63,6 +64,7 @@ export function usePokemon() {
     return () => {
       // Cleanup listeners when component unmounts
       if (controllerRef.current) {
+        controllerRef.current.cancelPendingRequests();
         controllerRef.current.listeners.clear();
       }
     };
@@ -109,9 +111,15 @@ export function usePokemon() {
     }
   }, []);
 
-  const filterByType = useCallback(async (types) => {
+  const filterByType = useCallback(async (types, options) => {
+    if (controllerRef.current) {
+      await controllerRef.current.filterByType(types, options);
+    }
+  }, []);
+
+  const filterByQuery = useCallback(async (query) => {
     if (controllerRef.current) {
-      await controllerRef.current.filterByType(types);
+      await controllerRef.current.filterByQuery(query);
     }
   }, []);
 
@@ -174,7 +182,8 @@ export function usePokemon() {
   }, []);
 
   // Derived state
-  const hasMore = state.currentPage * state.pageSize < state.totalCount;
+  // The controller knows per listing (filter cursor, random draws)
+  const hasMore = state.hasMore;
   const isEmpty = !state.loading && state.pokemon.length === 0;
   const isSearching = state.searchQuery.length > 0 || state.selectedTypes.length > 0;
 
@@ -221,6 +230,7 @@ export function usePokemon() {
     searchPokemon,
     loadMorePokemon,
     filterByType,
+    filterByQuery,
     setSorting,
     toggleFavorite,
     isFavorite,
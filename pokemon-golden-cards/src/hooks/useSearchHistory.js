@@ -0,0 +1,30 @@
+/**
+ * Custom React Hook for recent and saved searches
+ * Mirrors the SearchHistoryService state and re-renders on every change
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { searchHistory } from '../services/searchHistory.js';
+
+export function useSearchHistory(service = searchHistory) {
+  const [snapshot, setSnapshot] = useState(() => service.getSnapshot());
+
+  useEffect(() => service.subscribe(setSnapshot), [service]);
+
+  const addToHistory = useCallback((query) => service.addToHistory(query), [service]);
+  const removeFromHistory = useCallback((query) => service.removeFromHistory(query), [service]);
+  const clearHistory = useCallback(() => service.clearHistory(), [service]);
+  const saveSearch = useCallback((name, query) => service.saveSearch(name, query), [service]);
+  const removeSavedSearch = useCallback((id) => service.removeSavedSearch(id), [service]);
+
+  return {
+    history: snapshot.history,
+    savedSearches: snapshot.saved,
+    addToHistory,
+    removeFromHistory,
+    clearHistory,
+    saveSearch,
+    removeSavedSearch
+  };
+}
+
+export default useSearchHistory;
@@ -0,0 +1,102 @@
+/**
+ * Ability Model Class
+ * Ability data from /ability: localized names, short and long effect text
+ * and the Pokémon that have it (as a regular or hidden ability)
+ */
+import { BaseModel } from './BaseModel.js';
+
+export class Ability extends BaseModel {
+  constructor(data = {}) {
+    super();
+    this.validateAndSet(data);
+  }
+
+  validateAndSet(data) {
+    this.id = this.validateNumber(data.id, 'ID');
+    this.name = this.validateString(data.name, 'Name');
+
+    this.names = this.validateArray(data.names, 'Names');
+    this.effectEntries = this.validateArray(data.effect_entries, 'Effect Entries');
+    this.flavorTextEntries = this.validateArray(data.flavor_text_entries, 'Flavor Text Entries');
+    this.generation = this.validateObject(data.generation, 'Generation').name || null;
+    this.isMainSeries = data.is_main_series !== false;
+    this.pokemon = this.validateArray(data.pokemon, 'Pokemon')
+      .filter(entry => entry?.pokemon?.name)
+      .map(entry => ({
+        id: BaseModel.idFromUrl(entry.pokemon.url),
+        name: entry.pokemon.name,
+        url: entry.pokemon.url || null,
+        isHidden: entry.is_hidden === true,
+        slot: Number(entry.slot) || null
+      }));
+  }
+
+  getLocalizedName(language = 'es') {
+    return BaseModel.findLocalized(this.names, language) || BaseModel.findLocalized(this.names, 'en') || this.name;
+  }
+
+  /**
+   * One-line description. PokéAPI only has effect texts in a few languages,
+   * so the in-game description (flavor text) covers the rest before English.
+   */
+  getShortEffect(language = 'es') {
+    const effect = BaseModel.findLocalized(this.effectEntries, language, 'short_effect');
+    if (effect) return BaseModel.cleanText(effect);
+    const flavor = this.getFlavorText(language);
+    if (flavor) return flavor;
+    return BaseModel.cleanText(BaseModel.findLocalized(this.effectEntries, 'en', 'short_effect'));
+  }
+
+  // Full mechanics text; falls back to English when the language has none
+  getEffect(language = 'es') {
+    const effect = BaseModel.findLocalized(this.effectEntries, language, 'effect')
+      || BaseModel.findLocalized(this.effectEntries, 'en', 'effect');
+    return BaseModel.cleanText(effect);
+  }
+
+  // Most recent in-game description in that language
+  getFlavorText(language = 'es') {
+    const entries = this.flavorTextEntries.filter(entry => entry?.language?.name === language);
+    const entry = entries[entries.length - 1];
+    return entry ? BaseModel.cleanText(entry.flavor_text) : '';
+  }
+
+  // Whether it is a hidden ability for that Pokémon (null when the Pokémon does not have it)
+  isHiddenFor(pokemonIdOrName) {
+    const entry = this.pokemon.find(p => p.id === Number(pokemonIdOrName) || p.name === pokemonIdOrName);
+    return entry ? entry.isHidden : null;
+  }
+
+  // Pokémon with this ability, optionally leaving one out
+  getPokemon({ excludeId = null } = {}) {
+    return this.pokemon.filter(entry => entry.id !== excludeId);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      names: this.names,
+      effect_entries: this.effectEntries,
+      flavor_text_entries: this.flavorTextEntries,
+      generation: this.generation ? { name: this.generation } : null,
+      is_main_series: this.isMainSeries,
+      pokemon: this.pokemon.map(entry => ({
+        is_hidden: entry.isHidden,
+        slot: entry.slot,
+        pokemon: { name: entry.name, url: entry.url }
+      }))
+    };
+  }
+
+  static fromAPI(apiData) {
+    try {
+      return new Ability(apiData);
+    } catch (error) {
+      console.error('Error creating Ability from API data:', error);
+      throw error;
+    }
+  }
+}
+
+export default Ability;
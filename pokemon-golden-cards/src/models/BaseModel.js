@@ -0,0 +1,59 @@
+/**
+ * Base Model Class
+ * Shared input validation for PokéAPI-backed models (OWASP guidelines)
+ */
+export class BaseModel {
+  validateString(value, fieldName, required = true) {
+    if (required && (!value || typeof value !== 'string' || value.trim() === '')) {
+      throw new Error(`${fieldName} is required and must be a non-empty string`);
+    }
+    return typeof value === 'string' ? value.trim() : '';
+  }
+
+  validateNumber(value, fieldName, required = true) {
+    if (required && (value === null || value === undefined || isNaN(value))) {
+      throw new Error(`${fieldName} is required and must be a valid number`);
+    }
+    return Number(value) || 0;
+  }
+
+  validateBoolean(value) {
+    return value === true;
+  }
+
+  validateArray(value, fieldName, required = false) {
+    if (required && (!Array.isArray(value) || value.length === 0)) {
+      throw new Error(`${fieldName} is required and must be a non-empty array`);
+    }
+    return Array.isArray(value) ? value : [];
+  }
+
+  validateObject(value, fieldName, required = false) {
+    if (required && (!value || typeof value !== 'object' || Array.isArray(value))) {
+      throw new Error(`${fieldName} is required and must be an object`);
+    }
+    return (value && typeof value === 'object' && !Array.isArray(value)) ? value : {};
+  }
+
+  // Extracts the numeric id from a PokéAPI resource URL (".../pokemon-species/25/")
+  static idFromUrl(url) {
+    const id = Number(String(url || '').split('/').filter(Boolean).pop());
+    return Number.isInteger(id) && id > 0 ? id : null;
+  }
+
+  // PokéAPI texts keep the game's line and page breaks
+  static cleanText(text) {
+    return String(text || '')
+      .replace(/[\f\n\r\u00ad]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Picks the entry for a language from a PokéAPI localized array (names, genera...)
+  static findLocalized(entries, language, field = 'name') {
+    const entry = (entries || []).find(e => e?.language?.name === language);
+    return entry ? entry[field] : null;
+  }
+}
+
+export default BaseModel;
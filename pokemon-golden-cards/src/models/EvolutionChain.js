@@ -0,0 +1,213 @@
+/**
+ * EvolutionChain Model Class
+ * Keeps the full evolution tree from /evolution-chain (branches included)
+ * and the conditions on every edge, with Spanish descriptions
+ */
+import { BaseModel } from './BaseModel.js';
+
+const TIME_OF_DAY_ES = {
+  day: 'de día',
+  night: 'de noche',
+  dusk: 'al atardecer'
+};
+
+const formatSlug = (slug) => String(slug || '').replace(/-/g, ' ');
+
+export class EvolutionChain extends BaseModel {
+  constructor(data = {}) {
+    super();
+    this.validateAndSet(data);
+  }
+
+  validateAndSet(data) {
+    this.id = this.validateNumber(data.id, 'ID');
+    this.chain = this.validateObject(data.chain, 'Chain', true);
+    this.babyTriggerItem = data.baby_trigger_item?.name || null;
+
+    // speciesId -> node
+    this.nodes = new Map();
+    this.root = this.buildNode(this.chain, null, 0);
+  }
+
+  buildNode(link, parentId, stage) {
+    const speciesId = BaseModel.idFromUrl(link.species?.url);
+    if (!speciesId) {
+      throw new Error('Evolution chain link is missing its species');
+    }
+
+    const node = {
+      speciesId,
+      name: this.validateString(link.species.name, 'Species Name'),
+      isBaby: this.validateBoolean(link.is_baby),
+      stage,
+      parentId,
+      // Alternative ways to evolve from the parent (any one of them is enough)
+      conditions: this.validateArray(link.evolution_details, 'Evolution Details').map(EvolutionChain.normalizeDetail),
+      children: []
+    };
+    this.nodes.set(speciesId, node);
+    node.children = this.validateArray(link.evolves_to, 'Evolves To')
+      .map(child => this.buildNode(child, speciesId, stage + 1));
+    return node;
+  }
+
+  static normalizeDetail(detail = {}) {
+    return {
+      trigger: detail.trigger?.name || 'other',
+      minLevel: detail.min_level ?? null,
+      item: detail.item?.name || null,
+      heldItem: detail.held_item?.name || null,
+      knownMove: detail.known_move?.name || null,
+      knownMoveType: detail.known_move_type?.name || null,
+      location: detail.location?.name || null,
+      minHappiness: detail.min_happiness ?? null,
+      minAffection: detail.min_affection ?? null,
+      minBeauty: detail.min_beauty ?? null,
+      timeOfDay: detail.time_of_day || null,
+      gender: detail.gender ?? null,
+      needsOverworldRain: detail.needs_overworld_rain === true,
+      partySpecies: detail.party_species?.name || null,
+      partyType: detail.party_type?.name || null,
+      relativePhysicalStats: detail.relative_physical_stats ?? null,
+      tradeSpecies: detail.trade_species?.name || null,
+      turnUpsideDown: detail.turn_upside_down === true
+    };
+  }
+
+  // Navigation helpers
+  getNode(speciesId) {
+    return this.nodes.get(Number(speciesId)) || null;
+  }
+
+  has(speciesId) {
+    return this.nodes.has(Number(speciesId));
+  }
+
+  // Nodes grouped by depth: [[bulbasaur], [ivysaur], [venusaur]]
+  getStages() {
+    const stages = [];
+    this.nodes.forEach(node => {
+      (stages[node.stage] || (stages[node.stage] = [])).push(node);
+    });
+    return stages;
+  }
+
+  getPrevious(speciesId) {
+    const node = this.getNode(speciesId);
+    return node && node.parentId ? this.getNode(node.parentId) : null;
+  }
+
+  getNext(speciesId) {
+    return this.getNode(speciesId)?.children || [];
+  }
+
+  getAllSpecies() {
+    return Array.from(this.nodes.values());
+  }
+
+  hasBranches() {
+    return this.getAllSpecies().some(node => node.children.length > 1);
+  }
+
+  // Spanish description of how a species evolves from its parent
+  describeEvolution(speciesId, options = {}) {
+    const node = this.getNode(speciesId);
+    if (!node || node.conditions.length === 0) return '';
+    return node.conditions
+      .map(condition => EvolutionChain.describeCondition(condition, options))
+      .join(' o ');
+  }
+
+  /**
+   * `translate(resource, slug)` lets callers localize names (e.g. the
+   * localization service); by default slugs are only made readable.
+   */
+  static describeCondition(condition, { translate = (resource, slug) => formatSlug(slug) } = {}) {
+    const name = (resource, slug) => translate(resource, slug) || formatSlug(slug);
+    const parts = [];
+
+    switch (condition.trigger) {
+      case 'level-up':
+        parts.push(condition.minLevel ? `Nivel ${condition.minLevel}` : 'Subir de nivel');
+        break;
+      case 'trade':
+        parts.push(condition.tradeSpecies
+          ? `Intercambio por ${name('pokemon-species', condition.tradeSpecies)}`
+          : 'Intercambio');
+        break;
+      case 'use-item':
+        parts.push(`Usar ${name('item', condition.item)}`);
+        break;
+      case 'shed':
+        parts.push('Al evolucionar su predecesor, con hueco en el equipo y una Poké Ball');
+        break;
+      case 'spin':
+        parts.push('Girar con un dulce equipado');
+        break;
+      case 'tower-of-darkness':
+        parts.push('Superar la Torre del Siniestro');
+        break;
+      case 'tower-of-waters':
+        parts.push('Superar la Torre del Agua');
+        break;
+      case 'three-critical-hits':
+        parts.push('Asestar tres golpes críticos en un combate');
+        break;
+      case 'take-damage':
+        parts.push('Recibir daño y pasar bajo el arco de piedra');
+        break;
+      case 'agile-style-move':
+        parts.push(`Usar ${name('move', condition.knownMove)} 20 veces en estilo rápido`);
+        break;
+      case 'strong-style-move':
+        parts.push(`Usar ${name('move', condition.knownMove)} 20 veces en estilo fuerte`);
+        break;
+      case 'recoil-damage':
+        parts.push('Recibir daño por retroceso sin debilitarse');
+        break;
+      default:
+        parts.push('Condición especial');
+    }
+
+    if (condition.heldItem) parts.push(`llevando ${name('item', condition.heldItem)}`);
+    if (condition.minHappiness) parts.push(`con amistad alta (${condition.minHappiness}+)`);
+    if (condition.minAffection) parts.push(`con afecto alto (${condition.minAffection}+)`);
+    if (condition.minBeauty) parts.push(`con belleza alta (${condition.minBeauty}+)`);
+    if (condition.timeOfDay) parts.push(TIME_OF_DAY_ES[condition.timeOfDay] || condition.timeOfDay);
+    if (condition.knownMove && !condition.trigger.endsWith('style-move')) {
+      parts.push(`conociendo ${name('move', condition.knownMove)}`);
+    }
+    if (condition.knownMoveType) parts.push(`conociendo un movimiento de tipo ${name('type', condition.knownMoveType)}`);
+    if (condition.location) parts.push(`en ${name('location', condition.location)}`);
+    if (condition.gender === 1) parts.push('solo hembras');
+    if (condition.gender === 2) parts.push('solo machos');
+    if (condition.needsOverworldRain) parts.push('mientras llueve');
+    if (condition.partySpecies) parts.push(`con ${name('pokemon-species', condition.partySpecies)} en el equipo`);
+    if (condition.partyType) parts.push(`con un Pokémon de tipo ${name('type', condition.partyType)} en el equipo`);
+    if (condition.relativePhysicalStats === 1) parts.push('con Ataque mayor que Defensa');
+    if (condition.relativePhysicalStats === -1) parts.push('con Ataque menor que Defensa');
+    if (condition.relativePhysicalStats === 0) parts.push('con Ataque igual a Defensa');
+    if (condition.turnUpsideDown) parts.push('con la consola boca abajo');
+
+    return parts.join(', ');
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      baby_trigger_item: this.babyTriggerItem ? { name: this.babyTriggerItem } : null,
+      chain: this.chain
+    };
+  }
+
+  static fromAPI(apiData) {
+    try {
+      return new EvolutionChain(apiData);
+    } catch (error) {
+      console.error('Error creating EvolutionChain from API data:', error);
+      throw error;
+    }
+  }
+}
+
+export default EvolutionChain;
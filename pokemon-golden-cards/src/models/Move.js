@@ -0,0 +1,83 @@
+/**
+ * Move Model Class
+ * Attack data from /move: type, damage class, power, accuracy, PP,
+ * localized names, flavor text and effect descriptions
+ */
+import { BaseModel } from './BaseModel.js';
+
+export class Move extends BaseModel {
+  constructor(data = {}) {
+    super();
+    this.validateAndSet(data);
+  }
+
+  validateAndSet(data) {
+    this.id = this.validateNumber(data.id, 'ID');
+    this.name = this.validateString(data.name, 'Name');
+
+    this.names = this.validateArray(data.names, 'Names');
+    this.flavorTextEntries = this.validateArray(data.flavor_text_entries, 'Flavor Text Entries');
+    this.effectEntries = this.validateArray(data.effect_entries, 'Effect Entries');
+
+    this.type = this.validateObject(data.type, 'Type').name || 'normal';
+    this.damageClass = this.validateObject(data.damage_class, 'Damage Class').name || 'status';
+    // Status moves (and a few fixed-damage ones) have no power or accuracy
+    this.power = Number.isFinite(data.power) ? data.power : null;
+    this.accuracy = Number.isFinite(data.accuracy) ? data.accuracy : null;
+    this.pp = Number.isFinite(data.pp) ? data.pp : null;
+    this.priority = this.validateNumber(data.priority, 'Priority', false);
+    this.effectChance = Number.isFinite(data.effect_chance) ? data.effect_chance : null;
+  }
+
+  getLocalizedName(language = 'es') {
+    return BaseModel.findLocalized(this.names, language) || BaseModel.findLocalized(this.names, 'en') || this.name;
+  }
+
+  isDamaging() {
+    return this.damageClass !== 'status' && this.power !== null && this.power > 0;
+  }
+
+  // Entry for a version group ("scarlet-violet"), or the most recent one in that language
+  getFlavorText(language = 'es', versionGroup = null) {
+    const entries = this.flavorTextEntries.filter(entry => entry?.language?.name === language);
+    const entry = (versionGroup && entries.find(e => e.version_group?.name === versionGroup)) || entries[entries.length - 1];
+    return entry ? BaseModel.cleanText(entry.flavor_text) : '';
+  }
+
+  // Effect texts are only published in English; `$effect_chance` is filled in
+  getEffect(language = 'en', { short = true } = {}) {
+    const entry = this.effectEntries.find(e => e?.language?.name === language)
+      || this.effectEntries.find(e => e?.language?.name === 'en');
+    if (!entry) return '';
+    const text = short ? entry.short_effect : entry.effect;
+    return BaseModel.cleanText(text).replace(/\$effect_chance/g, this.effectChance ?? '');
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      names: this.names,
+      flavor_text_entries: this.flavorTextEntries,
+      effect_entries: this.effectEntries,
+      type: { name: this.type },
+      damage_class: { name: this.damageClass },
+      power: this.power,
+      accuracy: this.accuracy,
+      pp: this.pp,
+      priority: this.priority,
+      effect_chance: this.effectChance
+    };
+  }
+
+  static fromAPI(apiData) {
+    try {
+      return new Move(apiData);
+    } catch (error) {
+      console.error('Error creating Move from API data:', error);
+      throw error;
+    }
+  }
+}
+
+export default Move;
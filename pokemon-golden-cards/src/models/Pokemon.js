@@ -2,8 +2,35 @@
  * Pokemon Model Class
  * Implements SOLID principles and OWASP security guidelines
  */
-export class Pokemon {
+import { BaseModel } from './BaseModel.js';
+
+// Alternate forms (Megas, regional forms, Gigamax...) have /pokemon ids above this
+export const FORM_ID_OFFSET = 10000;
+
+// Learn methods shown as their own groups; anything else goes under "other"
+export const LEARN_METHODS = ['level-up', 'machine', 'egg', 'tutor'];
+
+const REGIONAL_FORMS = ['alola', 'galar', 'hisui', 'paldea'];
+
+// Labels for the parts of a form name ("charizard-mega-x" -> "mega-x")
+const FORM_LABELS = {
+  alola: 'Forma de Alola',
+  galar: 'Forma de Galar',
+  hisui: 'Forma de Hisui',
+  paldea: 'Forma de Paldea',
+  mega: 'Mega',
+  gmax: 'Gigamax',
+  primal: 'Primigenio',
+  origin: 'Forma Origen',
+  therian: 'Forma Tótem',
+  incarnate: 'Forma Avatar',
+  female: 'Hembra',
+  male: 'Macho'
+};
+
+export class Pokemon extends BaseModel {
   constructor(data = {}) {
+    super();
     this.validateAndSet(data);
   }
 
@@ -18,8 +45,16 @@ export class Pokemon {
     this.types = this.validateArray(data.types, 'Types');
     this.abilities = this.validateArray(data.abilities, 'Abilities');
     this.stats = this.validateArray(data.stats, 'Stats');
+    this.moves = Pokemon.normalizeMoves(this.validateArray(data.moves, 'Moves'));
     this.sprites = this.validateObject(data.sprites, 'Sprites');
     this.cries = this.validateObject(data.cries, 'Cries', false);
+    this.speciesRef = this.validateObject(data.species, 'Species', false);
+    // Cached entries from before forms were tracked lack the flag: infer it from the id
+    this.isDefault = typeof data.is_default === 'boolean' ? data.is_default : this.id <= FORM_ID_OFFSET;
+    // Species details (PokemonSpecies) are attached lazily by the API service
+    this.species = null;
+    // Per card instance: decided once when the card is drawn (see services/shiny.js)
+    this.shiny = this.validateBoolean(data.shiny);
     
     // Additional computed properties
     this.imageUrl = this.getImageUrl();
@@ -29,34 +64,6 @@ export class Pokemon {
     this.statTotal = this.getStatTotal();
   }
 
-  validateString(value, fieldName, required = true) {
-    if (required && (!value || typeof value !== 'string' || value.trim() === '')) {
-      throw new Error(`${fieldName} is required and must be a non-empty string`);
-    }
-    return typeof value === 'string' ? value.trim() : '';
-  }
-
-  validateNumber(value, fieldName, required = true) {
-    if (required && (value === null || value === undefined || isNaN(value))) {
-      throw new Error(`${fieldName} is required and must be a valid number`);
-    }
-    return Number(value) || 0;
-  }
-
-  validateArray(value, fieldName, required = false) {
-    if (required && (!Array.isArray(value) || value.length === 0)) {
-      throw new Error(`${fieldName} is required and must be a non-empty array`);
-    }
-    return Array.isArray(value) ? value : [];
-  }
-
-  validateObject(value, fieldName, required = false) {
-    if (required && (!value || typeof value !== 'object' || Array.isArray(value))) {
-      throw new Error(`${fieldName} is required and must be an object`);
-    }
-    return (value && typeof value === 'object' && !Array.isArray(value)) ? value : {};
-  }
-
   getImageUrl() {
     if (this.sprites?.other?.['official-artwork']?.front_default) {
       return this.sprites.other['official-artwork'].front_default;
@@ -70,6 +77,72 @@ export class Pokemon {
     return '/placeholder-pokemon.png';
   }
 
+  // Sprites: every variant PokéAPI publishes, with `null` when it is missing
+  getSpriteUrl({ shiny = false, back = false, female = false } = {}) {
+    return Pokemon.pickSprite(this.sprites, { shiny, back, female });
+  }
+
+  getOfficialArtworkUrl({ shiny = false } = {}) {
+    const artwork = this.sprites?.other?.['official-artwork'];
+    return artwork?.[shiny ? 'front_shiny' : 'front_default'] || null;
+  }
+
+  getHomeUrl({ shiny = false, female = false } = {}) {
+    return Pokemon.pickSprite(this.sprites?.other?.home, { shiny, female });
+  }
+
+  getDreamWorldUrl({ female = false } = {}) {
+    const dreamWorld = this.sprites?.other?.dream_world;
+    return (female && dreamWorld?.front_female) || dreamWorld?.front_default || null;
+  }
+
+  // Pixel sprite from a game generation ("generation-iii"), optionally a specific game ("emerald")
+  getGenerationSpriteUrl(generation, { game = null, shiny = false, back = false } = {}) {
+    const games = this.sprites?.versions?.[generation];
+    if (!games) return null;
+    const key = `${back ? 'back' : 'front'}_${shiny ? 'shiny' : 'default'}`;
+    const candidates = game ? [games[game]] : Object.values(games);
+    const match = candidates.find(sprites => sprites?.[key]);
+    return match ? match[key] : null;
+  }
+
+  // { generation: [games with a front sprite] } for the generations this Pokémon appears in
+  getSpriteVersions() {
+    return Object.fromEntries(
+      Object.entries(this.sprites?.versions || {})
+        .map(([generation, games]) => [generation, Object.keys(games || {}).filter(game => games[game]?.front_default)])
+        .filter(([, games]) => games.length > 0)
+    );
+  }
+
+  // Flat list of every sprite URL: [{ path: 'other.home.front_shiny', url }]
+  getAllSprites() {
+    const gallery = [];
+    const walk = (node, path) => {
+      Object.entries(node || {}).forEach(([key, value]) => {
+        const next = path ? `${path}.${key}` : key;
+        if (typeof value === 'string') gallery.push({ path: next, url: value });
+        else if (value && typeof value === 'object') walk(value, next);
+      });
+    };
+    walk(this.sprites, '');
+    return gallery;
+  }
+
+  /**
+   * Card image for an art style: 'official-artwork', 'home', 'pixel' (current
+   * front sprite) or a generation id such as 'generation-iv' (optionally with
+   * `game`). Falls back to the default image when the style has no sprite.
+   */
+  getImageUrlForStyle(style = 'official-artwork', { game = null, shiny = false } = {}) {
+    let url = null;
+    if (style === 'official-artwork') url = this.getOfficialArtworkUrl({ shiny });
+    else if (style === 'home') url = this.getHomeUrl({ shiny });
+    else if (style === 'pixel') url = this.getSpriteUrl({ shiny });
+    else if (style?.startsWith('generation-')) url = this.getGenerationSpriteUrl(style, { game, shiny });
+    return url || (shiny && this.getImageUrlForStyle(style, { game })) || this.imageUrl;
+  }
+
   getCryUrl() {
     if (this.cries && (this.cries.latest || this.cries.legacy)) {
       return this.cries.latest || this.cries.legacy;
@@ -90,6 +163,14 @@ export class Pokemon {
     ).filter(Boolean);
   }
 
+  // [{ name, isHidden, slot }] in slot order
+  getAbilities() {
+    return this.abilities
+      .filter(entry => entry?.ability?.name)
+      .map(entry => ({ name: entry.ability.name, isHidden: entry.is_hidden === true, slot: Number(entry.slot) || null }))
+      .sort((a, b) => (a.slot ?? 0) - (b.slot ?? 0));
+  }
+
   getPrimaryType() {
     return this.typeNames[0] || 'unknown';
   }
@@ -101,6 +182,84 @@ export class Pokemon {
     }, 0);
   }
 
+  // Moves: every version group this Pokémon learns moves in, oldest first
+  getMoveVersionGroups() {
+    const groups = new Map();
+    this.moves.forEach(move => move.learnedBy.forEach(({ versionGroup, versionGroupOrder }) => {
+      if (!groups.has(versionGroup)) groups.set(versionGroup, versionGroupOrder);
+    }));
+    return [...groups.entries()].sort((a, b) => a[1] - b[1]).map(([name]) => name);
+  }
+
+  /**
+   * Moves learned in a version group (the latest one by default), grouped by
+   * learn method: { versionGroup, 'level-up': [{ name, url, level }], machine, egg, tutor, other }.
+   * Level-up moves are sorted by level, the rest by name.
+   */
+  getLearnset(versionGroup = null) {
+    const group = versionGroup || this.getMoveVersionGroups().pop() || null;
+    const learnset = { versionGroup: group, other: [] };
+    LEARN_METHODS.forEach(method => { learnset[method] = []; });
+
+    this.moves.forEach(move => {
+      move.learnedBy
+        .filter(detail => detail.versionGroup === group)
+        .forEach(({ method, level }) => {
+          const list = learnset[LEARN_METHODS.includes(method) ? method : 'other'];
+          if (!list.some(entry => entry.name === move.name && entry.level === level)) {
+            list.push({ name: move.name, url: move.url, level, method });
+          }
+        });
+    });
+
+    learnset['level-up'].sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+    [...LEARN_METHODS.slice(1), 'other'].forEach(method => learnset[method].sort((a, b) => a.name.localeCompare(b.name)));
+    return learnset;
+  }
+
+  getSpeciesId() {
+    return BaseModel.idFromUrl(this.speciesRef.url) || this.id;
+  }
+
+  getSpeciesName() {
+    return this.speciesRef.name || this.name;
+  }
+
+  // Forms
+  isAlternateForm() {
+    return !this.isDefault;
+  }
+
+  // "raichu-alola" of species "raichu" -> "alola"; empty for the default form
+  getFormName() {
+    if (this.isDefault) return '';
+    return Pokemon.formNameFor(this.name, this.getSpeciesName());
+  }
+
+  // 'mega', 'gigantamax', 'regional', 'other' or null for the default form
+  getFormKind() {
+    const formName = this.getFormName();
+    if (!formName) return null;
+    const parts = formName.split('-');
+    if (parts.includes('mega') || parts.includes('primal')) return 'mega';
+    if (parts.includes('gmax')) return 'gigantamax';
+    if (parts.some(part => REGIONAL_FORMS.includes(part))) return 'regional';
+    return 'other';
+  }
+
+  getFormLabel() {
+    return this.isDefault ? 'Forma normal' : Pokemon.formatFormLabel(this.getFormName());
+  }
+
+  setSpecies(species) {
+    this.species = species || null;
+    return this;
+  }
+
+  isLegendary() {
+    return Boolean(this.species?.isLegendary || this.species?.isMythical);
+  }
+
   getStatByName(statName) {
     const stat = this.stats.find(s => 
       typeof s === 'object' && s.stat && s.stat.name === statName
@@ -110,11 +269,24 @@ export class Pokemon {
 
   // Utility methods
   isShiny() {
-    return Math.random() < 0.001; // 0.1% chance for shiny
+    return this.shiny;
+  }
+
+  // Copy of this card with the given shininess (cached models are shared, never mutate them)
+  withShiny(shiny = true) {
+    const card = new Pokemon({ ...this.toJSON(), shiny });
+    return card.setSpecies(this.species);
   }
 
   getRarity() {
+    // Real species flags win; the stat total is only a guess until they load
+    if (this.isLegendary()) return 'legendary';
     const total = this.statTotal;
+    if (this.species) {
+      if (total >= 500) return 'rare';
+      if (total >= 400) return 'uncommon';
+      return 'common';
+    }
     if (total >= 600) return 'legendary';
     if (total >= 500) return 'rare';
     if (total >= 400) return 'uncommon';
@@ -156,8 +328,19 @@ export class Pokemon {
       types: this.types,
       abilities: this.abilities,
       stats: this.stats,
+      moves: this.moves.map(move => ({
+        move: { name: move.name, url: move.url },
+        version_group_details: move.learnedBy.map(detail => ({
+          level_learned_at: detail.level,
+          move_learn_method: { name: detail.method },
+          version_group: { name: detail.versionGroup, url: detail.versionGroupUrl }
+        }))
+      })),
       sprites: this.sprites,
       cries: this.cries,
+      species: this.speciesRef,
+      is_default: this.isDefault,
+      shiny: this.shiny,
       imageUrl: this.imageUrl,
       typeNames: this.typeNames,
       abilityNames: this.abilityNames,
@@ -166,6 +349,51 @@ export class Pokemon {
     };
   }
 
+  // Small sprite by id, usable before the Pokémon itself has been fetched
+  static getSpriteUrlById(id) {
+    return `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${id}.png`;
+  }
+
+  // API `moves` -> [{ name, url, learnedBy: [{ versionGroup, versionGroupOrder, method, level }] }]
+  static normalizeMoves(moves) {
+    return moves
+      .filter(entry => entry?.move?.name)
+      .map(entry => ({
+        name: entry.move.name,
+        url: entry.move.url || null,
+        learnedBy: (entry.version_group_details || [])
+          .filter(detail => detail?.version_group?.name)
+          .map(detail => ({
+            versionGroup: detail.version_group.name,
+            versionGroupUrl: detail.version_group.url || null,
+            // Version group ids follow release order
+            versionGroupOrder: BaseModel.idFromUrl(detail.version_group.url) || 0,
+            method: detail.move_learn_method?.name || 'other',
+            level: Number(detail.level_learned_at) || 0
+          }))
+      }));
+  }
+
+  // front_default / front_shiny / front_female / front_shiny_female (and back_*)
+  static pickSprite(sprites, { shiny = false, back = false, female = false } = {}) {
+    if (!sprites) return null;
+    const side = back ? 'back' : 'front';
+    const femaleKey = shiny ? `${side}_shiny_female` : `${side}_female`;
+    return (female && sprites[femaleKey]) || sprites[`${side}_${shiny ? 'shiny' : 'default'}`] || null;
+  }
+
+  static formNameFor(name, speciesName) {
+    return speciesName && name.startsWith(`${speciesName}-`) ? name.slice(speciesName.length + 1) : name;
+  }
+
+  static formatFormLabel(formName) {
+    return String(formName || '')
+      .split('-')
+      .filter(Boolean)
+      .map(part => FORM_LABELS[part] || part.charAt(0).toUpperCase() + part.slice(1))
+      .join(' ');
+  }
+
   static fromAPI(apiData) {
     try {
       return new Pokemon(apiData);
@@ -0,0 +1,128 @@
+/**
+ * PokemonSpecies Model Class
+ * Pokédex data from /pokemon-species: flavor text, genus and species flags
+ */
+import { BaseModel } from './BaseModel.js';
+
+export class PokemonSpecies extends BaseModel {
+  constructor(data = {}) {
+    super();
+    this.validateAndSet(data);
+  }
+
+  validateAndSet(data) {
+    this.id = this.validateNumber(data.id, 'ID');
+    this.name = this.validateString(data.name, 'Name');
+
+    this.names = this.validateArray(data.names, 'Names');
+    this.flavorTextEntries = this.validateArray(data.flavor_text_entries, 'Flavor Text Entries');
+    this.genera = this.validateArray(data.genera, 'Genera');
+    this.varieties = this.validateArray(data.varieties, 'Varieties');
+
+    this.isLegendary = this.validateBoolean(data.is_legendary);
+    this.isMythical = this.validateBoolean(data.is_mythical);
+    this.isBaby = this.validateBoolean(data.is_baby);
+    this.captureRate = this.validateNumber(data.capture_rate, 'Capture Rate', false);
+
+    this.generation = this.validateObject(data.generation, 'Generation').name || null;
+    this.habitat = this.validateObject(data.habitat, 'Habitat').name || null;
+    this.color = this.validateObject(data.color, 'Color').name || null;
+    this.evolutionChainUrl = this.validateObject(data.evolution_chain, 'Evolution Chain').url || null;
+  }
+
+  getLocalizedName(language = 'es') {
+    return BaseModel.findLocalized(this.names, language) || this.name;
+  }
+
+  // "Pokémon Ratón"
+  getGenus(language = 'es') {
+    return BaseModel.findLocalized(this.genera, language, 'genus')
+      || BaseModel.findLocalized(this.genera, 'en', 'genus')
+      || '';
+  }
+
+  // Game versions that have a Pokédex entry in the given language, oldest first
+  getFlavorTextVersions(language = 'es') {
+    return this.flavorTextEntries
+      .filter(entry => entry?.language?.name === language && entry.version?.name)
+      .map(entry => entry.version.name);
+  }
+
+  // Entry for a specific version, or the most recent one in that language
+  getFlavorText(language = 'es', version = null) {
+    const entries = this.flavorTextEntries.filter(entry => entry?.language?.name === language);
+    const entry = (version && entries.find(e => e.version?.name === version)) || entries[entries.length - 1];
+    return entry ? BaseModel.cleanText(entry.flavor_text) : '';
+  }
+
+  // Roman numeral generation name ("generation-iv") as a number
+  getGenerationNumber() {
+    const numerals = { i: 1, v: 5, x: 10 };
+    const roman = (this.generation || '').replace('generation-', '');
+    if (!roman) return null;
+    let total = 0;
+    for (let i = 0; i < roman.length; i++) {
+      const current = numerals[roman[i]] || 0;
+      const next = numerals[roman[i + 1]] || 0;
+      total += current < next ? -current : current;
+    }
+    return total || null;
+  }
+
+  // Pokémon that belong to this species (default form first in the API)
+  getVarieties() {
+    return this.varieties
+      .map(variety => ({
+        id: BaseModel.idFromUrl(variety?.pokemon?.url),
+        name: variety?.pokemon?.name || '',
+        isDefault: variety?.is_default === true
+      }))
+      .filter(variety => variety.id);
+  }
+
+  hasForms() {
+    return this.getVarieties().length > 1;
+  }
+
+  // Rarity tier used to weight random draws
+  getRarity() {
+    if (this.isMythical) return 'mythical';
+    if (this.isLegendary) return 'legendary';
+    if (this.isBaby) return 'baby';
+    return 'common';
+  }
+
+  getCaptureRatePercent() {
+    return Math.round((this.captureRate / 255) * 1000) / 10;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      names: this.names,
+      flavor_text_entries: this.flavorTextEntries,
+      genera: this.genera,
+      varieties: this.varieties,
+      is_legendary: this.isLegendary,
+      is_mythical: this.isMythical,
+      is_baby: this.isBaby,
+      capture_rate: this.captureRate,
+      generation: this.generation ? { name: this.generation } : null,
+      habitat: this.habitat ? { name: this.habitat } : null,
+      color: this.color ? { name: this.color } : null,
+      evolution_chain: this.evolutionChainUrl ? { url: this.evolutionChainUrl } : null
+    };
+  }
+
+  static fromAPI(apiData) {
+    try {
+      return new PokemonSpecies(apiData);
+    } catch (error) {
+      console.error('Error creating PokemonSpecies from API data:', error);
+      throw error;
+    }
+  }
+}
+
+export default PokemonSpecies;
@@ -0,0 +1,135 @@
+/**
+ * PokéAPI Error Taxonomy
+ * Typed errors with HTTP status, retry policy and Spanish user-facing messages
+ */
+export class PokemonApiError extends Error {
+  constructor(message, { status = 0, url = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'PokemonApiError';
+    this.status = status;
+    this.url = url;
+  }
+
+  get retryable() {
+    return false;
+  }
+}
+
+export class NotFoundError extends PokemonApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, ...options });
+    this.name = 'NotFoundError';
+  }
+}
+
+export class RateLimitError extends PokemonApiError {
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, { status: 429, ...options });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter; // ms, from the Retry-After header
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class NetworkError extends PokemonApiError {
+  constructor(message, options = {}) {
+    super(message, { status: 0, ...options });
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class ServerError extends PokemonApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+export class InvalidResponseError extends PokemonApiError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'InvalidResponseError';
+  }
+}
+
+// A query that would need more requests than we are willing to send at once
+export class QueryTooBroadError extends PokemonApiError {
+  constructor(message, { count = 0, limit = 0, ...options } = {}) {
+    super(message, options);
+    this.name = 'QueryTooBroadError';
+    this.count = count;
+    this.limit = limit;
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function createErrorFromResponse(response, url) {
+  const status = response.status;
+  const message = `HTTP ${status}: ${response.statusText || 'Request failed'}`;
+
+  if (status === 404) return new NotFoundError(message, { url });
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(response.headers?.get?.('Retry-After'));
+    return new RateLimitError(message, { url, retryAfter });
+  }
+  if (status >= 500) return new ServerError(message, { status, url });
+  return new PokemonApiError(message, { status, url });
+}
+
+// Anything thrown by fetch itself (offline, DNS, CORS) is a network failure
+export function toPokemonApiError(error, url) {
+  if (error instanceof PokemonApiError || error?.name === 'AbortError') return error;
+  return new NetworkError(`Network error: ${error?.message || 'unknown'}`, { url, cause: error });
+}
+
+// Central mapping to the Spanish messages shown in the UI
+export function getErrorMessage(error, { query } = {}) {
+  if (!error) return '';
+  if (typeof error === 'string') return error;
+  if (error.name === 'AbortError') return '';
+
+  if (error instanceof NotFoundError) {
+    return query
+      ? `Pokémon "${query}" no encontrado. Intenta con otro nombre.`
+      : 'No encontramos lo que buscabas.';
+  }
+  if (error instanceof RateLimitError) {
+    const seconds = error.retryAfter ? Math.ceil(error.retryAfter / 1000) : null;
+    return seconds
+      ? `Demasiadas búsquedas. Espera ${seconds} s e intenta de nuevo.`
+      : 'Demasiadas búsquedas. Espera un momento e intenta de nuevo.';
+  }
+  if (error instanceof NetworkError) {
+    return 'Error de conexión. Verifica tu internet.';
+  }
+  if (error instanceof ServerError) {
+    return 'La PokéAPI no responde en este momento. Intenta más tarde.';
+  }
+  if (error instanceof QueryTooBroadError) {
+    return `Ordenar por estadísticas o tipo solo es posible con hasta ${error.limit} resultados `
+      + `(esta búsqueda tiene ${error.count}). Añade filtros para acotarla.`;
+  }
+  if (error instanceof InvalidResponseError) {
+    return 'La PokéAPI devolvió datos inesperados. Intenta de nuevo.';
+  }
+  return error.message || 'Error desconocido';
+}
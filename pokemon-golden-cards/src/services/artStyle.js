@@ -0,0 +1,84 @@
+/**
+ * Art Style Service
+ * Card art preference (official artwork, HOME renders or pixel sprites of a
+ * game generation), persisted in localStorage and shared by every card
+ */
+export const ART_STYLES = [
+  { id: 'official-artwork', label: 'Ilustración oficial' },
+  { id: 'home', label: 'Pokémon HOME (3D)' },
+  { id: 'pixel', label: 'Sprite actual', pixel: true },
+  { id: 'generation-i', label: 'Gen I · Rojo/Azul', game: 'red-blue', pixel: true },
+  { id: 'generation-ii', label: 'Gen II · Cristal', game: 'crystal', pixel: true },
+  { id: 'generation-iii', label: 'Gen III · Esmeralda', game: 'emerald', pixel: true },
+  { id: 'generation-iv', label: 'Gen IV · Platino', game: 'platinum', pixel: true },
+  { id: 'generation-v', label: 'Gen V · Negro/Blanco', game: 'black-white', pixel: true },
+  { id: 'generation-vi', label: 'Gen VI · X/Y', game: 'x-y', pixel: true },
+  { id: 'generation-vii', label: 'Gen VII · Ultrasol/Ultraluna', game: 'ultra-sun-ultra-moon', pixel: true }
+];
+
+const STORAGE_KEY = 'pokemon-art-style';
+export const DEFAULT_ART_STYLE = 'official-artwork';
+
+export const getArtStyle = (id) => ART_STYLES.find(style => style.id === id) || ART_STYLES[0];
+
+export class ArtStyleService {
+  constructor() {
+    this.style = this.loadStyle();
+    this.listeners = new Set();
+  }
+
+  loadStyle() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return ART_STYLES.some(style => style.id === saved) ? saved : DEFAULT_ART_STYLE;
+    } catch {
+      return DEFAULT_ART_STYLE;
+    }
+  }
+
+  getStyle() {
+    return this.style;
+  }
+
+  setStyle(id) {
+    if (!ART_STYLES.some(style => style.id === id)) {
+      throw new Error(`Unsupported art style: ${id}`);
+    }
+    if (id === this.style) return;
+
+    this.style = id;
+    try {
+      localStorage.setItem(STORAGE_KEY, id);
+    } catch (error) {
+      console.error('Failed to save art style:', error);
+    }
+    this.notify();
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.style);
+      } catch (error) {
+        console.error('Error in art style listener:', error);
+      }
+    });
+  }
+
+  // Image for a Pokemon in the current style (falls back to the default art);
+  // shiny cards use their shiny sprite unless told otherwise
+  getImageUrl(pokemon, { shiny = pokemon?.isShiny?.() } = {}) {
+    if (!pokemon) return null;
+    const style = getArtStyle(this.style);
+    return pokemon.getImageUrlForStyle(style.id, { game: style.game, shiny });
+  }
+}
+
+// Export singleton instance
+export const artStyle = new ArtStyleService();
+export default artStyle;
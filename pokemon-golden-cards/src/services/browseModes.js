@@ -0,0 +1,7 @@
+// "discovery" shows random cards; "dex" walks the National Dex in order
+export const BROWSE_MODES = Object.freeze({
+  DISCOVERY: 'discovery',
+  DEX: 'dex'
+});
+
+export default BROWSE_MODES;
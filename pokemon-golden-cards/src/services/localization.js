@@ -0,0 +1,129 @@
+/**
+ * Localization Service
+ * Resolves type, stat, move, ability and species names for the chosen
+ * language from PokéAPI `names` arrays and keeps them for synchronous rendering
+ */
+import { pokemonApi, isAbortError } from './pokemonApi.js';
+
+export const SUPPORTED_LANGUAGES = [
+  { code: 'es', label: 'Español' },
+  { code: 'en', label: 'English' },
+  { code: 'fr', label: 'Français' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'it', label: 'Italiano' },
+  { code: 'ja', label: '日本語' },
+  { code: 'ko', label: '한국어' },
+  { code: 'zh-Hans', label: '简体中文' }
+];
+
+const STORAGE_KEY = 'pokemon-language';
+const DEFAULT_LANGUAGE = 'es';
+
+export class LocalizationService {
+  constructor(api = pokemonApi) {
+    this.api = api;
+    this.language = this.loadLanguage();
+    // `${resource}/${key}` -> { language: name }
+    this.names = new Map();
+    this.listeners = new Set();
+    this.notifyTimer = null;
+  }
+
+  // Language preference
+  loadLanguage() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return SUPPORTED_LANGUAGES.some(l => l.code === saved) ? saved : DEFAULT_LANGUAGE;
+    } catch {
+      return DEFAULT_LANGUAGE;
+    }
+  }
+
+  getLanguage() {
+    return this.language;
+  }
+
+  setLanguage(code) {
+    if (!SUPPORTED_LANGUAGES.some(l => l.code === code)) {
+      throw new Error(`Unsupported language: ${code}`);
+    }
+    if (code === this.language) return;
+
+    this.language = code;
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+      console.error('Failed to save language:', error);
+    }
+    this.notify();
+  }
+
+  // Subscriptions: notifications are batched so a grid of cards re-renders once
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    if (this.notifyTimer) return;
+    this.notifyTimer = setTimeout(() => {
+      this.notifyTimer = null;
+      this.listeners.forEach(listener => {
+        try {
+          listener(this.language);
+        } catch (error) {
+          console.error('Error in localization listener:', error);
+        }
+      });
+    }, 0);
+  }
+
+  // Lookups
+  getEntryKey(resource, idOrName) {
+    return `${resource}/${String(idOrName).split('/').filter(Boolean).pop().toLowerCase()}`;
+  }
+
+  isLoaded(resource, idOrName) {
+    return this.names.has(this.getEntryKey(resource, idOrName));
+  }
+
+  // Synchronous: returns the loaded name, or a readable fallback until it arrives
+  translate(resource, idOrName, fallback = null, language = this.language) {
+    if (idOrName === null || idOrName === undefined || idOrName === '') return fallback || '';
+    const names = this.names.get(this.getEntryKey(resource, idOrName));
+    return names?.[language]
+      || names?.en
+      || fallback
+      || LocalizationService.formatSlug(idOrName);
+  }
+
+  async load(resource, idOrName, options = {}) {
+    const entryKey = this.getEntryKey(resource, idOrName);
+    if (this.names.has(entryKey)) return this.names.get(entryKey);
+
+    const names = await this.api.getLocalizedNames(resource, idOrName, options);
+    this.names.set(entryKey, names);
+    this.notify();
+    return names;
+  }
+
+  // Loads many names at once; individual failures fall back to the slug
+  async preload(entries, options = {}) {
+    const pending = entries.filter(([resource, idOrName]) =>
+      idOrName !== null && idOrName !== undefined && !this.isLoaded(resource, idOrName)
+    );
+    const results = await Promise.allSettled(
+      pending.map(([resource, idOrName]) => this.load(resource, idOrName, options))
+    );
+    const aborted = results.find(r => r.status === 'rejected' && isAbortError(r.reason));
+    if (aborted) throw aborted.reason;
+  }
+
+  static formatSlug(slug) {
+    return String(slug).replace(/-/g, ' ');
+  }
+}
+
+// Export singleton instance
+export const localization = new LocalizationService();
+export default localization;
@@ -0,0 +1,139 @@
+/**
+ * LRU Cache
+ * Size-bounded in-memory cache with TTL, approximate byte accounting
+ * and hit/miss/eviction statistics
+ */
+export class LRUCache {
+  constructor({ maxEntries = 500, maxBytes = 20 * 1024 * 1024, ttl = 5 * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+    // Map iteration order doubles as recency order: first entry is least recent
+    this.entries = new Map();
+    this.bytes = 0;
+    this.configure({ maxEntries, maxBytes });
+    this.resetStats();
+  }
+
+  configure({ maxEntries, maxBytes } = {}) {
+    if (maxEntries !== undefined) {
+      if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new Error('maxEntries must be a positive integer');
+      }
+      this.maxEntries = maxEntries;
+    }
+    if (maxBytes !== undefined) {
+      if (typeof maxBytes !== 'number' || maxBytes <= 0) {
+        throw new Error('maxBytes must be a positive number');
+      }
+      this.maxBytes = maxBytes;
+    }
+    this.evict();
+  }
+
+  resetStats() {
+    this.stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+  }
+
+  // Rough UTF-16 footprint of the serialized value
+  estimateSize(key, value) {
+    let serialized = '';
+    try {
+      serialized = JSON.stringify(value) || '';
+    } catch {
+      // Unserializable values only count their key
+    }
+    return (key.length + serialized.length) * 2;
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return this.ttl > 0 && now - entry.timestamp >= this.ttl;
+  }
+
+  has(key) {
+    const entry = this.entries.get(key);
+    return Boolean(entry) && !this.isExpired(entry);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    if (this.isExpired(entry)) {
+      this.remove(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return undefined;
+    }
+
+    // Move to the most-recently-used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    if (this.entries.has(key)) this.remove(key);
+
+    const size = this.estimateSize(key, value);
+    // A single value larger than the whole budget is not worth caching
+    if (size > this.maxBytes) return false;
+
+    this.entries.set(key, { value, size, timestamp: Date.now() });
+    this.bytes += size;
+    this.evict();
+    return true;
+  }
+
+  evict() {
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this.bytes -= entry.size;
+    this.entries.delete(key);
+    return true;
+  }
+
+  delete(key) {
+    return this.remove(key);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  keys() {
+    return this.entries.keys();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getStats() {
+    const { hits, misses, evictions, expirations } = this.stats;
+    const lookups = hits + misses;
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      totalMemory: this.bytes,
+      maxBytes: this.maxBytes,
+      hits,
+      misses,
+      evictions,
+      expirations,
+      hitRate: lookups > 0 ? hits / lookups : 0
+    };
+  }
+}
+
+export default LRUCache;
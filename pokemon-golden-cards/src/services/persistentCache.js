@@ -0,0 +1,169 @@
+/**
+ * Persistent Cache
+ * IndexedDB-backed cache tier so API responses survive page reloads
+ * Every operation degrades to a no-op when IndexedDB is unavailable
+ */
+const DB_NAME = 'pokemon-golden-cards';
+const DB_VERSION = 1;
+const STORE_NAME = 'api-cache';
+
+export class PersistentCache {
+  constructor({ dbName = DB_NAME, storeName = STORE_NAME } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // Database lifecycle
+  openDatabase() {
+    if (!this.isSupported()) return Promise.resolve(null);
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('resource', 'resource', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Persistent cache unavailable:', request.error);
+        resolve(null);
+      };
+      request.onblocked = () => resolve(null);
+    });
+
+    return this.dbPromise;
+  }
+
+  async runRequest(mode, buildRequest) {
+    const db = await this.openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = buildRequest(transaction.objectStore(this.storeName));
+        request.onsuccess = () => resolve(request.result ?? null);
+        request.onerror = () => {
+          console.warn('Persistent cache request failed:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('Persistent cache transaction failed:', error);
+        resolve(null);
+      }
+    });
+  }
+
+  async forEachRecord(mode, visit) {
+    const db = await this.openDatabase();
+    if (!db) return;
+
+    await new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = transaction.objectStore(this.storeName).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return resolve();
+          visit(cursor.value, cursor);
+          cursor.continue();
+        };
+        request.onerror = () => {
+          console.warn('Persistent cache scan failed:', request.error);
+          resolve();
+        };
+      } catch (error) {
+        console.warn('Persistent cache transaction failed:', error);
+        resolve();
+      }
+    });
+  }
+
+  isExpired(record, now = Date.now()) {
+    return !record || record.expiresAt <= now;
+  }
+
+  // Entry operations
+  async get(key) {
+    const record = await this.runRequest('readonly', store => store.get(key));
+    if (!record) return null;
+    if (this.isExpired(record)) {
+      await this.delete(key);
+      return null;
+    }
+    return record.value;
+  }
+
+  async set(key, value, { ttl, resource = 'unknown' } = {}) {
+    if (!ttl || ttl <= 0) return;
+
+    let size = 0;
+    try {
+      size = JSON.stringify(value).length;
+    } catch {
+      // Values that can't be measured still get stored
+    }
+
+    const now = Date.now();
+    await this.runRequest('readwrite', store => store.put({
+      key,
+      resource,
+      value,
+      size,
+      createdAt: now,
+      expiresAt: now + ttl
+    }));
+  }
+
+  async delete(key) {
+    await this.runRequest('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this.runRequest('readwrite', store => store.clear());
+  }
+
+  // Inspection and maintenance
+  async getEntries() {
+    const now = Date.now();
+    const entries = [];
+    await this.forEachRecord('readonly', (record) => {
+      entries.push({
+        key: record.key,
+        resource: record.resource,
+        size: record.size,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt,
+        expired: this.isExpired(record, now)
+      });
+    });
+    return entries;
+  }
+
+  async purge({ resource = null, expiredOnly = false } = {}) {
+    const now = Date.now();
+    let removed = 0;
+    await this.forEachRecord('readwrite', (record, cursor) => {
+      if (resource && record.resource !== resource) return;
+      if (expiredOnly && !this.isExpired(record, now)) return;
+      cursor.delete();
+      removed++;
+    });
+    return removed;
+  }
+}
+
+// Export singleton instance
+export const persistentCache = new PersistentCache();
+export default persistentCache;
@@ -3,53 +3,238 @@
  * Handles all interactions with the PokéAPI
  * Implements caching, error handling, and security best practices
  */
-import { Pokemon } from '../models/Pokemon.js';
+import { BaseModel } from '../models/BaseModel.js';
+import { Pokemon, FORM_ID_OFFSET } from '../models/Pokemon.js';
+import { PokemonSpecies } from '../models/PokemonSpecies.js';
+import { EvolutionChain } from '../models/EvolutionChain.js';
+import { Move } from '../models/Move.js';
+import { Ability } from '../models/Ability.js';
+import { persistentCache } from './persistentCache.js';
+import { RequestScheduler, REQUEST_PRIORITY, createAbortError, isAbortError } from './requestScheduler.js';
+import {
+  NotFoundError,
+  RateLimitError,
+  InvalidResponseError,
+  QueryTooBroadError,
+  createErrorFromResponse,
+  toPokemonApiError
+} from './apiErrors.js';
+import { createTransport, API_MODES } from './transports.js';
+import { LRUCache } from './lruCache.js';
+import { SearchIndex, normalizeSearchText } from './searchIndex.js';
+import { MAX_GENERATION } from './searchQuery.js';
+import { TypeChart, POKEMON_TYPES } from './typeEffectiveness.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Time-to-live per resource in the persistent (IndexedDB) tier
+const PERSISTENT_TTL = {
+  pokemon: 7 * DAY,
+  'pokemon-species': 30 * DAY,
+  'evolution-chain': 30 * DAY,
+  move: 30 * DAY,
+  ability: 30 * DAY,
+  'pokemon-list': 1 * DAY,
+  'species-count': 1 * DAY,
+  generation: 30 * DAY,
+  type: 7 * DAY,
+  types: 7 * DAY,
+  names: 30 * DAY
+};
+
+// Resources whose `names` array feeds the localisation layer
+const LOCALIZABLE_RESOURCES = ['type', 'stat', 'move', 'ability', 'pokemon-species'];
+
+// Relative odds of each species rarity tier for draws that opt into weighting
+// (rarity needs the species of every candidate, so plain draws stay uniform)
+const RARITY_WEIGHTS = Object.freeze({
+  common: 1,
+  baby: 0.5,
+  legendary: 0.1,
+  mythical: 0.05
+});
+
+// Sorting by stats or type fetches every candidate first; past this many the
+// first page would wait on the rate limit for too long
+const MAX_DETAIL_SORT_CANDIDATES = 100;
+
+// Models that are stored as JSON and rebuilt when read back from IndexedDB.
+// Their toJSON() mirrors the API shape, so fromAPI() rebuilds the same model
+const CACHEABLE_MODELS = {
+  Pokemon,
+  PokemonSpecies,
+  EvolutionChain,
+  Move,
+  Ability
+};
 
 class PokemonApiService {
-  constructor() {
-    this.baseUrl = 'https://pokeapi.co/api/v2';
-    this.cache = new Map();
+  constructor({ transport = createTransport() } = {}) {
+    this.setTransport(transport);
     this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
-    this.requestQueue = [];
-    this.isProcessingQueue = false;
+    this.cache = new LRUCache({
+      maxEntries: 500,
+      maxBytes: 20 * 1024 * 1024, // ~20 MB
+      ttl: this.cacheExpiry
+    });
+    this.persistentCache = persistentCache;
+    this.scheduler = new RequestScheduler({ concurrency: 6, ratePerSecond: 10, burst: 10 });
     this.maxRetries = 3;
     this.retryDelay = 1000;
-    // Caché de nombres de habilidades en español
-    this.abilityNameEsCache = new Map();
+    this.maxRetryAfter = 60 * 1000; // cap for Retry-After on 429
+    // Pending promises shared between identical concurrent requests
+    this.inFlightRequests = new Map();
+    // Shared signal -> in-flight entry, so nested requests inherit its priority
+    this.inFlightBySignal = new WeakMap();
+    this.dedupStats = { requests: 0, deduplicated: 0 };
+    // Localized species names seen so far, fed into the search index
+    this.searchAliases = new Map();
   }
 
-  // Rate limiting and queue management
-  async queueRequest(requestFn) {
+  // Transport (live HTTP, offline fixtures or recorder)
+  setTransport(transport) {
+    if (!transport || typeof transport.request !== 'function') {
+      throw new Error('Transport must provide a request(url, options) function');
+    }
+    this.transport = transport;
+    this.baseUrl = transport.baseUrl;
+    this.mode = transport.mode || API_MODES.LIVE;
+    // Only live data goes to IndexedDB: offline demos stay deterministic and
+    // recording must reach the network to capture responses
+    this.usePersistentCache = this.mode === API_MODES.LIVE;
+    // The index describes the data source, so it is rebuilt for a new one
+    this.searchIndex = null;
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  // In-flight request deduplication
+  // requestFn receives a shared signal that only aborts once every caller has aborted;
+  // the shared work runs at the highest priority any caller asked for
+  dedupe(key, requestFn, { signal, priority = REQUEST_PRIORITY.NORMAL } = {}) {
+    if (signal?.aborted) return Promise.reject(createAbortError(signal));
+
+    this.dedupStats.requests++;
+    let entry = this.inFlightRequests.get(key);
+    if (entry) {
+      this.dedupStats.deduplicated++;
+      this.raisePriority(entry, this.priorityFor(signal, priority));
+    } else {
+      const controller = new AbortController();
+      const parent = signal ? this.inFlightBySignal.get(signal) : undefined;
+      entry = {
+        controller,
+        parent,
+        children: new Set(),
+        priority: this.priorityFor(signal, priority),
+        subscribers: 0,
+        promise: null
+      };
+      parent?.children.add(entry);
+      this.inFlightBySignal.set(controller.signal, entry);
+      entry.promise = Promise.resolve()
+        .then(() => requestFn(controller.signal))
+        .finally(() => this.releaseInFlight(key, entry));
+      this.inFlightRequests.set(key, entry);
+    }
+
+    entry.subscribers++;
+    if (!signal) return entry.promise;
+
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({ requestFn, resolve, reject });
-      this.processQueue();
+      const onAbort = () => {
+        reject(createAbortError(signal));
+        entry.subscribers--;
+        if (entry.subscribers === 0) {
+          entry.controller.abort();
+          this.releaseInFlight(key, entry);
+        }
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      entry.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
     });
   }
 
-  async processQueue() {
-    if (this.isProcessingQueue || this.requestQueue.length === 0) return;
-    
-    this.isProcessingQueue = true;
-    
-    while (this.requestQueue.length > 0) {
-      const { requestFn, resolve, reject } = this.requestQueue.shift();
-      
+  releaseInFlight(key, entry) {
+    if (this.inFlightRequests.get(key) === entry) {
+      this.inFlightRequests.delete(key);
+    }
+    entry.parent?.children.delete(entry);
+  }
+
+  // A request started for a shared signal never runs below that entry's priority
+  priorityFor(signal, priority = REQUEST_PRIORITY.NORMAL) {
+    const entry = signal ? this.inFlightBySignal.get(signal) : undefined;
+    return entry ? Math.min(priority, entry.priority) : priority;
+  }
+
+  // Moves the entry's queued work (and that of nested requests) up the queue
+  raisePriority(entry, priority) {
+    if (priority >= entry.priority) return;
+    entry.priority = priority;
+    this.scheduler.raisePriority(entry.controller.signal, priority);
+    entry.children.forEach(child => this.raisePriority(child, priority));
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) throw createAbortError(signal);
+  }
+
+  getDedupStats() {
+    const { requests, deduplicated } = this.dedupStats;
+    return {
+      requests,
+      deduplicated,
+      inFlight: this.inFlightRequests.size,
+      savedRatio: requests > 0 ? deduplicated / requests : 0
+    };
+  }
+
+  resetDedupStats() {
+    this.dedupStats = { requests: 0, deduplicated: 0 };
+  }
+
+  // Rate limiting and queue management
+  // Retryable errors are retried here, outside the scheduler, so the backoff
+  // (up to Retry-After) doesn't hold one of its slots
+  async queueRequest(requestFn, { priority = REQUEST_PRIORITY.NORMAL, signal } = {}) {
+    for (let retries = 0; ; retries++) {
       try {
-        const result = await requestFn();
-        resolve(result);
+        return await this.scheduler.schedule(requestFn, { priority: this.priorityFor(signal, priority), signal });
       } catch (error) {
-        reject(error);
+        if (isAbortError(error) || signal?.aborted || !error.retryable || retries >= this.maxRetries) {
+          throw error;
+        }
+        await this.delay(this.getRetryDelay(error, retries), signal);
       }
-      
-      // Rate limiting: wait 100ms between requests
-      await this.delay(100);
     }
-    
-    this.isProcessingQueue = false;
   }
 
-  async delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  configureScheduler(options) {
+    this.scheduler.configure(options);
+  }
+
+  getSchedulerStats() {
+    return this.scheduler.getStats();
+  }
+
+  async delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(createAbortError(signal));
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError(signal));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   // Cache management
@@ -57,73 +242,176 @@ class PokemonApiService {
     return `${url}_${JSON.stringify(params)}`;
   }
 
-  getFromCache(key) {
+  getCacheResource(key) {
+    return key.split(/[/_]/)[0];
+  }
+
+  // Memory first, then the persistent tier (promoting hits back into memory)
+  async getFromCache(key) {
     const cached = this.cache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpiry) {
-      return cached.data;
+    if (cached !== undefined) return cached;
+    if (!this.usePersistentCache) return null;
+
+    const stored = await this.persistentCache.get(key);
+    if (!stored) return null;
+
+    try {
+      const data = this.deserializeCacheValue(stored);
+      this.cache.set(key, data);
+      return data;
+    } catch (error) {
+      console.warn(`Discarding unreadable cache entry ${key}:`, error);
+      await this.persistentCache.delete(key);
+      return null;
     }
-    this.cache.delete(key);
-    return null;
   }
 
   setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
+    this.cache.set(key, data);
+
+    const resource = this.getCacheResource(key);
+    const ttl = PERSISTENT_TTL[resource];
+    if (ttl && this.usePersistentCache) {
+      this.persistentCache.set(key, this.serializeCacheValue(data), { ttl, resource });
+    }
+  }
+
+  serializeCacheValue(data) {
+    const model = Object.keys(CACHEABLE_MODELS).find(name => data instanceof CACHEABLE_MODELS[name]);
+    return model ? { model, data: data.toJSON() } : { model: null, data };
+  }
+
+  deserializeCacheValue(stored) {
+    const Model = stored.model ? CACHEABLE_MODELS[stored.model] : null;
+    if (stored.model && !Model) {
+      throw new Error(`Unknown cached model: ${stored.model}`);
+    }
+    return Model ? new Model(stored.data) : stored.data;
   }
 
   clearCache() {
     this.cache.clear();
   }
 
-  // HTTP request wrapper with retry logic
-  async makeRequest(url, retries = 0) {
+  // In-memory cache statistics (bounded LRU)
+  getCacheStats() {
+    return {
+      ...this.cache.getStats(),
+      entries: Array.from(this.cache.keys())
+    };
+  }
+
+  configureCache(options) {
+    this.cache.configure(options);
+  }
+
+  // Persistent cache inspection and maintenance
+  async getPersistentCacheInfo() {
+    const entries = await this.persistentCache.getEntries();
+    const byResource = {};
+    let totalSize = 0;
+
+    entries.forEach(entry => {
+      const bucket = byResource[entry.resource] || (byResource[entry.resource] = { entries: 0, expired: 0, size: 0 });
+      bucket.entries++;
+      bucket.size += entry.size;
+      if (entry.expired) bucket.expired++;
+      totalSize += entry.size;
+    });
+
+    return {
+      supported: this.persistentCache.isSupported(),
+      entries: entries.length,
+      size: totalSize,
+      byResource,
+      ttl: { ...PERSISTENT_TTL }
+    };
+  }
+
+  async purgePersistentCache({ resource = null, expiredOnly = false } = {}) {
+    const removed = await this.persistentCache.purge({ resource, expiredOnly });
+    if (!expiredOnly) {
+      for (const key of Array.from(this.cache.keys())) {
+        if (!resource || this.getCacheResource(key) === resource) this.cache.delete(key);
+      }
+    }
+    return removed;
+  }
+
+  // HTTP request wrapper; errors are typed so queueRequest knows which to retry
+  async makeRequest(url, { signal } = {}) {
     try {
-      const response = await fetch(url);
+      let response;
+      try {
+        response = await this.transport.request(url, { signal });
+      } catch (error) {
+        throw toPokemonApiError(error, url);
+      }
       
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw createErrorFromResponse(response, url);
       }
       
-      return await response.json();
+      try {
+        return await response.json();
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        throw new InvalidResponseError(`Invalid JSON received from ${url}`, { status: response.status, url, cause: error });
+      }
     } catch (error) {
-      if (retries < this.maxRetries) {
-        await this.delay(this.retryDelay * Math.pow(2, retries));
-        return this.makeRequest(url, retries + 1);
+      if (isAbortError(error) || signal?.aborted) {
+        throw createAbortError(signal);
       }
-      throw new Error(`Failed to fetch ${url} after ${this.maxRetries} retries: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getRetryDelay(error, retries) {
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+      return Math.min(error.retryAfter, this.maxRetryAfter);
+    }
+    return this.retryDelay * Math.pow(2, retries);
+  }
+
+  toModel(Model, data, url) {
+    try {
+      return Model.fromAPI(data);
+    } catch (error) {
+      throw new InvalidResponseError(`Unexpected payload from ${url}: ${error.message}`, { url, cause: error });
     }
   }
 
   // Core API methods
-  async getPokemonById(id) {
+  async getPokemonById(id, options = {}) {
     if (!id || (typeof id !== 'number' && typeof id !== 'string')) {
       throw new Error('Invalid Pokemon ID provided');
     }
 
     const cacheKey = this.getCacheKey(`pokemon/${id}`);
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
-
-    return this.queueRequest(async () => {
-      const data = await this.makeRequest(`${this.baseUrl}/pokemon/${id}`);
-      const pokemon = Pokemon.fromAPI(data);
-      this.setCache(cacheKey, pokemon);
-      return pokemon;
-    });
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      return this.queueRequest(async () => {
+        const url = `${this.baseUrl}/pokemon/${id}`;
+        const data = await this.makeRequest(url, { signal });
+        const pokemon = this.toModel(Pokemon, data, url);
+        this.setCache(cacheKey, pokemon);
+        return pokemon;
+      }, { ...options, signal });
+    }, options);
   }
 
-  async getPokemonByName(name) {
+  async getPokemonByName(name, options = {}) {
     if (!name || typeof name !== 'string') {
       throw new Error('Invalid Pokemon name provided');
     }
 
     const sanitizedName = name.toLowerCase().trim();
-    return this.getPokemonById(sanitizedName);
+    return this.getPokemonById(sanitizedName, options);
   }
 
-  async getPokemonList(limit = 20, offset = 0) {
+  async getPokemonList(limit = 20, offset = 0, options = {}) {
     if (limit < 1 || limit > 1000) {
       throw new Error('Limit must be between 1 and 1000');
     }
@@ -132,23 +420,26 @@ class PokemonApiService {
     }
 
     const cacheKey = this.getCacheKey('pokemon-list', { limit, offset });
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
 
-    return this.queueRequest(async () => {
-      const data = await this.makeRequest(`${this.baseUrl}/pokemon?limit=${limit}&offset=${offset}`);
-      this.setCache(cacheKey, data);
-      return data;
-    });
+      return this.queueRequest(async () => {
+        const data = await this.makeRequest(`${this.baseUrl}/pokemon?limit=${limit}&offset=${offset}`, { signal });
+        this.setCache(cacheKey, data);
+        return data;
+      }, { ...options, signal });
+    }, options);
   }
 
-  async getPokemonBatch(ids) {
+  async getPokemonBatch(ids, options = {}) {
     if (!Array.isArray(ids) || ids.length === 0) {
       throw new Error('IDs must be a non-empty array');
     }
 
-    const promises = ids.map(id => this.getPokemonById(id));
+    const promises = ids.map(id => this.getPokemonById(id, options));
     const results = await Promise.allSettled(promises);
+    this.throwIfAborted(options.signal);
     
     return results.map((result, index) => {
       if (result.status === 'fulfilled') {
@@ -160,218 +451,752 @@ class PokemonApiService {
     }).filter(Boolean);
   }
 
-  async getRandomPokemon(count = 1) {
+  // National Dex browsing: one page of the /pokemon list, in order, with details.
+  // The list also holds alternate forms (10001+) after the last species, so the
+  // total comes from the species count and pages stop there.
+  async getDexPage(offset = 0, limit = 20, options = {}) {
+    const count = await this.getSpeciesCount(options);
+    const pageLimit = Math.min(limit, Math.max(count - offset, 0));
+    const list = pageLimit > 0 ? await this.getPokemonList(pageLimit, offset, options) : { results: [] };
+    const entries = list.results || [];
+    const ids = entries
+      .map(entry => BaseModel.idFromUrl(entry.url))
+      .filter(id => id && id <= FORM_ID_OFFSET);
+    const results = ids.length > 0 ? await this.getPokemonBatch(ids, options) : [];
+
+    const nextOffset = offset + entries.length;
+    return {
+      results,
+      offset,
+      nextOffset,
+      count,
+      hasMore: entries.length > 0 && nextOffset < count
+    };
+  }
+
+  // List offset of the first species of a generation (for "jump to generation")
+  async getGenerationStartOffset(generation, options = {}) {
+    const data = await this.getGeneration(generation, options);
+    const ids = (data.pokemon_species || []).map(species => BaseModel.idFromUrl(species.url)).filter(Boolean);
+    if (ids.length === 0) {
+      throw new NotFoundError(`Generation ${generation} has no species`);
+    }
+    return Math.min(...ids) - 1;
+  }
+
+  // Number of species in the National Dex, as reported by the API
+  async getSpeciesCount(options = {}) {
+    const cacheKey = this.getCacheKey('species-count');
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      return this.queueRequest(async () => {
+        const url = `${this.baseUrl}/pokemon-species?limit=1`;
+        const data = await this.makeRequest(url, { signal });
+        const count = Number(data?.count);
+        if (!Number.isInteger(count) || count < 1) {
+          throw new InvalidResponseError(`Unexpected species count from ${url}`, { url });
+        }
+        this.setCache(cacheKey, count);
+        return count;
+      }, { ...options, signal });
+    }, options);
+  }
+
+  // Random cards share one distribution: every species, uniform odds
+  async getRandomPokemon(count = 1, options = {}) {
+    return this.sampleRandomPokemon(count, {}, options);
+  }
+
+  /**
+   * Draws up to `count` distinct Pokémon at random.
+   * Constraints: generation (number or {min, max}), types + typeMode, rarity
+   * (tier or list of tiers), weights (per-tier odds merged over
+   * RARITY_WEIGHTS; uniform when omitted), includeForms and excludeIds.
+   * Only rarity and weights fetch species data. Returns fewer than `count`
+   * when the constrained pool runs out.
+   */
+  async sampleRandomPokemon(count = 1, constraints = {}, options = {}) {
     if (count < 1 || count > 50) {
       throw new Error('Count must be between 1 and 50');
     }
 
-    const maxPokemonId = 1010; // Current max in API
-    const randomIds = [];
-    
-    for (let i = 0; i < count; i++) {
-      let randomId;
-      do {
-        randomId = Math.floor(Math.random() * maxPokemonId) + 1;
-      } while (randomIds.includes(randomId));
-      randomIds.push(randomId);
+    const {
+      generation = null,
+      types = [],
+      typeMode = 'all',
+      rarity = null,
+      weights = null,
+      includeForms = false,
+      excludeIds = []
+    } = constraints;
+
+    const range = typeof generation === 'number' ? { min: generation, max: generation } : generation;
+
+    // Ids come from the list index rather than 1..species count, so offline
+    // fixtures (a handful of species) draw only what they hold
+    let pool = types.length > 0 || range
+      ? await this.getFilterCandidates({ types, typeMode, generation: range }, options)
+      : (await this.getSearchIndex(options)).getIds();
+
+    const excluded = new Set(excludeIds.map(Number));
+    pool = pool.filter(id => !excluded.has(id) && (includeForms || id <= FORM_ID_OFFSET));
+
+    // Fisher-Yates: candidates are then taken in order, without repeats
+    for (let i = pool.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+
+    const tierWeights = weights ? { ...RARITY_WEIGHTS, ...weights } : {};
+    const rarities = rarity ? new Set([].concat(rarity)) : null;
+    const odds = (rarities ? [...rarities] : Object.keys(RARITY_WEIGHTS)).map(tier => tierWeights[tier] ?? 1);
+    const sampler = {
+      tierWeights,
+      rarities,
+      // Odds are relative to the most likely tier that can still be drawn
+      maxWeight: Math.max(...odds),
+      // Uniform odds and no rarity filter: species data is not needed
+      weighted: Boolean(rarity) || new Set(odds).size > 1
+    };
+
+    // Rarity filters reject most candidates, so examine them in larger chunks
+    const chunkSize = rarities ? Math.max(count * 4, 20) : count + Math.ceil(count / 2);
+    const picked = [];
+    for (let start = 0; start < pool.length && picked.length < count; start += chunkSize) {
+      const chunk = pool.slice(start, start + chunkSize);
+      const results = await Promise.allSettled(chunk.map(id => this.drawCandidate(id, sampler, options)));
+      this.throwIfAborted(options.signal);
+
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          console.error(`Failed to draw Pokemon ${chunk[index]}:`, result.reason);
+        } else if (result.value && picked.length < count) {
+          picked.push(result.value);
+        }
+      });
     }
 
-    return this.getPokemonBatch(randomIds);
+    return picked;
+  }
+
+  // Resolves one candidate of a draw: the Pokemon if its rarity passes, else null
+  async drawCandidate(id, { tierWeights, rarities, maxWeight, weighted }, options = {}) {
+    if (!weighted) return this.getPokemonById(id, options);
+
+    // Default forms share their species id; alternate forms need the Pokemon first
+    const form = id > FORM_ID_OFFSET ? await this.getPokemonById(id, options) : null;
+    const species = form
+      ? await this.loadSpeciesFor(form, options)
+      : await this.getPokemonSpecies(id, options);
+
+    const tier = species.getRarity();
+    if (rarities && !rarities.has(tier)) return null;
+    if (Math.random() * maxWeight >= (tierWeights[tier] ?? 1)) return null;
+
+    const pokemon = form || await this.getPokemonById(id, options);
+    if (!pokemon.species) pokemon.setSpecies(species);
+    return pokemon;
+  }
+
+  // Local name index over the whole /pokemon list, built once per data source
+  async getSearchIndex(options = {}) {
+    if (this.searchIndex) return this.searchIndex;
+
+    return this.dedupe('search-index', async (signal) => {
+      const pageSize = 1000;
+      const first = await this.getPokemonList(pageSize, 0, { ...options, signal });
+      const offsets = [];
+      for (let offset = pageSize; offset < (first.count || 0); offset += pageSize) {
+        offsets.push(offset);
+      }
+      const rest = await Promise.all(offsets.map(offset => this.getPokemonList(pageSize, offset, { ...options, signal })));
+
+      const entries = [first, ...rest]
+        .flatMap(page => page.results || [])
+        .map(result => ({ id: BaseModel.idFromUrl(result.url), name: result.name }));
+      const index = new SearchIndex(entries);
+      this.searchAliases.forEach((aliases, key) => index.addAliases(key, aliases));
+      this.searchIndex = index;
+      return index;
+    }, options);
+  }
+
+  addSearchAliases(idOrName, names) {
+    const aliases = Object.values(names || {});
+    if (aliases.length === 0) return;
+    this.searchAliases.set(String(idOrName), aliases);
+    this.searchIndex?.addAliases(idOrName, aliases);
+  }
+
+  // Instant name matches from the index: [{ id, name, score }]
+  async suggestPokemon(query, limit = 10, options = {}) {
+    if (!query || typeof query !== 'string') return [];
+    const index = await this.getSearchIndex(options);
+    return index.search(query, { limit });
   }
 
-  async searchPokemon(query, limit = 20) {
+  // Ranked, typo-tolerant search; details are only fetched for the top hits
+  async searchPokemon(query, limit = 20, options = {}) {
     if (!query || typeof query !== 'string') {
       throw new Error('Search query must be a non-empty string');
     }
 
-    const sanitizedQuery = query.toLowerCase().trim();
-    
-    // First try direct name match
-    try {
-      const directMatch = await this.getPokemonByName(sanitizedQuery);
-      return [directMatch];
-    } catch {
-      // If direct match fails, search through list
-    }
-
-    const list = await this.getPokemonList(1000, 0);
-    const matches = list.results
-      .filter(pokemon => pokemon.name.includes(sanitizedQuery))
-      .slice(0, limit);
-
-    if (matches.length === 0) {
+    const hits = await this.suggestPokemon(query, limit, options);
+    if (hits.length === 0) {
       return [];
     }
 
-    const pokemonPromises = matches.map(match => this.getPokemonByName(match.name));
-    const results = await Promise.allSettled(pokemonPromises);
-    
+    const results = await Promise.allSettled(hits.map(hit => this.getPokemonById(hit.id, options)));
+    this.throwIfAborted(options.signal);
+
     return results
       .filter(result => result.status === 'fulfilled')
       .map(result => result.value);
   }
 
-  async getPokemonByType(type) {
+  async getPokemonByType(type, options = {}) {
     if (!type || typeof type !== 'string') {
       throw new Error('Type must be a non-empty string');
     }
 
     const cacheKey = this.getCacheKey(`type/${type}`);
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
 
-    return this.queueRequest(async () => {
-      const data = await this.makeRequest(`${this.baseUrl}/type/${type.toLowerCase()}`);
-      this.setCache(cacheKey, data);
-      return data;
-    });
+      return this.queueRequest(async () => {
+        const data = await this.makeRequest(`${this.baseUrl}/type/${type.toLowerCase()}`, { signal });
+        this.setCache(cacheKey, data);
+        return data;
+      }, { ...options, signal });
+    }, options);
+  }
+
+  // Type effectiveness: only the types involved are fetched (they share the /type cache)
+  async getTypeChart(types = POKEMON_TYPES, options = {}) {
+    const unique = Array.from(new Set(types));
+    const data = await Promise.all(unique.map(type => this.getPokemonByType(type, options)));
+    return TypeChart.fromTypeData(data);
+  }
+
+  async getDefensiveProfile(types = [], options = {}) {
+    const chart = await this.getTypeChart(types, options);
+    return chart.getDefensiveProfile(types);
   }
 
-  async getAllTypes() {
+  async getWeaknessesAndResistances(types = [], options = {}) {
+    const chart = await this.getTypeChart(types, options);
+    return chart.getWeaknessesAndResistances(types);
+  }
+
+  async getOffensiveCoverage(moveTypes = [], options = {}) {
+    const chart = await this.getTypeChart(moveTypes, options);
+    return chart.getOffensiveCoverage(moveTypes);
+  }
+
+  async getAllTypes(options = {}) {
     const cacheKey = this.getCacheKey('types');
-    const cached = this.getFromCache(cacheKey);
-    if (cached) return cached;
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
 
-    return this.queueRequest(async () => {
-      const data = await this.makeRequest(`${this.baseUrl}/type`);
-      this.setCache(cacheKey, data);
-      return data;
-    });
+      return this.queueRequest(async () => {
+        const data = await this.makeRequest(`${this.baseUrl}/type`, { signal });
+        this.setCache(cacheKey, data);
+        return data;
+      }, { ...options, signal });
+    }, options);
+  }
+
+  // Localized names from the `names` array of a resource, as { language: name }
+  async getLocalizedNames(resource, idOrName, options = {}) {
+    if (!LOCALIZABLE_RESOURCES.includes(resource)) {
+      throw new Error(`Resource "${resource}" has no localized names`);
+    }
+    if (!idOrName) {
+      throw new Error('Invalid resource ID provided');
+    }
+
+    // Accepts a slug, an id or a full resource URL
+    const key = String(idOrName).split('/').filter(Boolean).pop().toLowerCase();
+    const cacheKey = this.getCacheKey(`names/${resource}/${key}`);
+    const names = await this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      // Species, moves and abilities are also shown in full, so reuse those caches
+      const loaders = {
+        'pokemon-species': () => this.getPokemonSpecies(key, { ...options, signal }),
+        move: () => this.getMoveDetails(key, { ...options, signal }),
+        ability: () => this.getAbilityDetails(key, { ...options, signal })
+      };
+      const data = loaders[resource]
+        ? await loaders[resource]()
+        : await this.queueRequest(
+          () => this.makeRequest(`${this.baseUrl}/${resource}/${key}`, { signal }),
+          { ...options, signal }
+        );
+
+      const names = {};
+      (data.names || []).forEach(entry => {
+        if (entry?.language?.name && entry.name) names[entry.language.name] = entry.name;
+      });
+      this.setCache(cacheKey, names);
+      return names;
+    }, options);
+
+    if (resource === 'pokemon-species') this.addSearchAliases(key, names);
+    return names;
+  }
+
+  async getLocalizedName(resource, idOrName, language = 'es', options = {}) {
+    const names = await this.getLocalizedNames(resource, idOrName, options);
+    return names[language] || names.en || null;
+  }
+
+  // Abilities: effect texts and the Pokémon that share them
+  async getAbilityDetails(idOrName, options = {}) {
+    if (!idOrName || (typeof idOrName !== 'number' && typeof idOrName !== 'string')) {
+      throw new Error('Invalid ability ID provided');
+    }
+
+    // Accepts a slug, an id or a full resource URL
+    const key = String(idOrName).split('/').filter(Boolean).pop().toLowerCase().trim();
+    const cacheKey = this.getCacheKey(`ability/${key}`);
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      return this.queueRequest(async () => {
+        const url = `${this.baseUrl}/ability/${key}`;
+        const data = await this.makeRequest(url, { signal });
+        const ability = this.toModel(Ability, data, url);
+        this.setCache(cacheKey, ability);
+        return ability;
+      }, { ...options, signal });
+    }, options);
   }
 
   // Habilidades en español
-  async getAbilityNameEs(nameOrUrl) {
+  async getAbilityNameEs(nameOrUrl, options = {}) {
     try {
       if (!nameOrUrl) return null;
       const key = typeof nameOrUrl === 'string' ? nameOrUrl : nameOrUrl?.ability?.name || nameOrUrl?.ability?.url;
       if (!key) return null;
-      if (this.abilityNameEsCache.has(key)) return this.abilityNameEsCache.get(key);
-
-      const url = key.startsWith('http') ? key : `${this.baseUrl}/ability/${key}`;
-      const data = await this.queueRequest(() => this.makeRequest(url));
-      const esName = (data.names || []).find(n => n.language?.name === 'es')?.name
-        || data.name
-        || null;
-      if (esName) this.abilityNameEsCache.set(key, esName);
-      return esName;
-    } catch {
+      return await this.getLocalizedName('ability', key, 'es', options);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
       return null;
     }
   }
 
-  async getAbilitiesEs(abilities = []) {
+  async getAbilitiesEs(abilities = [], options = {}) {
     try {
-      const tasks = abilities.map(ab => this.getAbilityNameEs(ab?.ability?.name || ab?.ability?.url || ab));
+      const tasks = abilities.map(ab => this.getAbilityNameEs(ab?.ability?.name || ab?.ability?.url || ab, options));
       const results = await Promise.allSettled(tasks);
+      this.throwIfAborted(options.signal);
       return results.map((r, i) => {
         if (r.status === 'fulfilled' && r.value) return r.value;
         const fallback = abilities[i];
         const name = typeof fallback === 'string' ? fallback : fallback?.ability?.name;
         return (name || '').replace(/-/g, ' ');
       });
-    } catch {
+    } catch (error) {
+      if (isAbortError(error)) throw error;
       return abilities.map(ab => (typeof ab === 'string' ? ab : ab?.ability?.name || '').replace(/-/g, ' '));
     }
   }
 
+  // Species (Pokédex) data
+  async getPokemonSpecies(idOrName, options = {}) {
+    if (!idOrName || (typeof idOrName !== 'number' && typeof idOrName !== 'string')) {
+      throw new Error('Invalid species ID provided');
+    }
+
+    const key = String(idOrName).toLowerCase().trim();
+    const cacheKey = this.getCacheKey(`pokemon-species/${key}`);
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      return this.queueRequest(async () => {
+        const url = `${this.baseUrl}/pokemon-species/${key}`;
+        const data = await this.makeRequest(url, { signal });
+        const species = this.toModel(PokemonSpecies, data, url);
+        this.setCache(cacheKey, species);
+        return species;
+      }, { ...options, signal });
+    }, options);
+  }
+
+  // Attaches species details to a Pokemon on first use
+  async loadSpeciesFor(pokemon, options = {}) {
+    if (!pokemon) throw new Error('Pokemon is required');
+    if (pokemon.species) return pokemon.species;
+
+    const species = await this.getPokemonSpecies(pokemon.getSpeciesId(), options);
+    pokemon.setSpecies(species);
+    return species;
+  }
+
+  // Every Pokémon of a species (regional forms, Megas, Gigamax...), default form first
+  async getSpeciesVarieties(speciesIdOrName, options = {}) {
+    const species = await this.getPokemonSpecies(speciesIdOrName, options);
+    const ids = species.getVarieties().map(variety => variety.id);
+    if (ids.length === 0) return [];
+
+    const varieties = await this.getPokemonBatch(ids, options);
+    varieties.forEach(pokemon => {
+      if (!pokemon.species) pokemon.setSpecies(species);
+    });
+    return varieties.sort((a, b) => Number(b.isDefault) - Number(a.isDefault) || a.id - b.id);
+  }
+
+  // Evolution chains
+  async getEvolutionChain(chainId, options = {}) {
+    const id = Number(chainId);
+    if (!Number.isInteger(id) || id < 1) {
+      throw new Error('Invalid evolution chain ID provided');
+    }
+
+    const cacheKey = this.getCacheKey(`evolution-chain/${id}`);
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      return this.queueRequest(async () => {
+        const url = `${this.baseUrl}/evolution-chain/${id}`;
+        const data = await this.makeRequest(url, { signal });
+        const chain = this.toModel(EvolutionChain, data, url);
+        this.setCache(cacheKey, chain);
+        return chain;
+      }, { ...options, signal });
+    }, options);
+  }
+
   // Utility methods
-  async getPokemonEvolutionChain(pokemonId) {
+  async getPokemonEvolutionChain(speciesId, options = {}) {
     try {
-      const species = await this.makeRequest(`${this.baseUrl}/pokemon-species/${pokemonId}`);
-      const evolutionChain = await this.makeRequest(species.evolution_chain.url);
-      return evolutionChain;
+      const species = await this.getPokemonSpecies(speciesId, options);
+      const chainId = species.evolutionChainUrl?.split('/').filter(Boolean).pop();
+      if (!chainId) return null;
+      return await this.getEvolutionChain(chainId, options);
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Failed to fetch evolution chain:', error);
       return null;
     }
   }
 
-  async getPokemonMoves(pokemonId, limit = 10) {
+  async getPokemonMoves(pokemonId, limit = 10, options = {}) {
     try {
-      const pokemon = await this.getPokemonById(pokemonId);
+      const pokemon = await this.getPokemonById(pokemonId, options);
       const moves = pokemon.moves?.slice(0, limit) || [];
       return moves;
     } catch (error) {
+      if (isAbortError(error)) throw error;
       console.error('Failed to fetch Pokemon moves:', error);
       return [];
     }
   }
 
-  // Advanced filtering
-  async filterPokemon(filters = {}) {
+  // Moves
+  async getMoveDetails(idOrName, options = {}) {
+    if (!idOrName || (typeof idOrName !== 'number' && typeof idOrName !== 'string')) {
+      throw new Error('Invalid move ID provided');
+    }
+
+    // Accepts a slug, an id or a full resource URL
+    const key = String(idOrName).split('/').filter(Boolean).pop().toLowerCase().trim();
+    const cacheKey = this.getCacheKey(`move/${key}`);
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      return this.queueRequest(async () => {
+        const url = `${this.baseUrl}/move/${key}`;
+        const data = await this.makeRequest(url, { signal });
+        const move = this.toModel(Move, data, url);
+        this.setCache(cacheKey, move);
+        return move;
+      }, { ...options, signal });
+    }, options);
+  }
+
+  async getMoveBatch(idsOrNames, options = {}) {
+    if (!Array.isArray(idsOrNames)) {
+      throw new Error('Moves must be an array');
+    }
+
+    const results = await Promise.allSettled(idsOrNames.map(move => this.getMoveDetails(move, options)));
+    this.throwIfAborted(options.signal);
+
+    return results.map((result, index) => {
+      if (result.status === 'fulfilled') return result.value;
+      console.error(`Failed to fetch move ${idsOrNames[index]}:`, result.reason);
+      return null;
+    }).filter(Boolean);
+  }
+
+  // Moves by learn method for a version group (the latest one by default)
+  async getLearnset(pokemonId, versionGroup = null, options = {}) {
+    const pokemon = await this.getPokemonById(pokemonId, options);
+    return pokemon.getLearnset(versionGroup);
+  }
+
+  /**
+   * The attacks printed on the card, like a TCG card: the strongest damaging
+   * level-up moves of the latest version group, same-type moves first.
+   * Falls back to status moves when there are not enough damaging ones.
+   */
+  async getSignatureMoves(pokemonId, count = 2, options = {}) {
+    const pokemon = await this.getPokemonById(pokemonId, options);
+    const learnset = pokemon.getLearnset();
+    // The last moves learned by level are usually the strongest; look at a few more than needed
+    const candidates = learnset['level-up'].slice(-Math.max(count * 4, 8)).map(entry => entry.name);
+    if (candidates.length === 0) return [];
+
+    const moves = await this.getMoveBatch(candidates, options);
+    const types = pokemon.getTypeNames();
+    const score = (move) => (move.power || 0)
+      * (types.includes(move.type) ? 1.5 : 1)
+      * ((move.accuracy ?? 100) / 100);
+
+    const damaging = moves.filter(move => move.isDamaging()).sort((a, b) => score(b) - score(a));
+    const status = moves.filter(move => !move.isDamaging());
+    return [...damaging, ...status].slice(0, count);
+  }
+
+
+  // Generations (species lists used by the `gen:` filter)
+  async getGeneration(idOrName, options = {}) {
+    if (!idOrName) {
+      throw new Error('Invalid generation provided');
+    }
+
+    const key = String(idOrName).toLowerCase().trim();
+    const cacheKey = this.getCacheKey(`generation/${key}`);
+    return this.dedupe(cacheKey, async (signal) => {
+      const cached = await this.getFromCache(cacheKey);
+      if (cached) return cached;
+
+      return this.queueRequest(async () => {
+        const data = await this.makeRequest(`${this.baseUrl}/generation/${key}`, { signal });
+        this.setCache(cacheKey, data);
+        return data;
+      }, { ...options, signal });
+    }, options);
+  }
+
+  // Ordered Pokémon ids allowed by the list-level filters (types, generation, name, ids)
+  async getFilterCandidates({ types = [], typeMode = 'all', generation = null, text = '', ids = null }, options = {}) {
+    const sources = [];
+
+    if (ids) sources.push(ids.map(Number));
+
+    const typeLists = (await Promise.all(types.map(type => this.getPokemonByType(type, options))))
+      .map(data => (data.pokemon || []).map(entry => BaseModel.idFromUrl(entry.pokemon?.url)).filter(Boolean));
+    if (typeMode === 'any' && typeLists.length > 0) {
+      // OR: one source with every Pokémon of any of the types
+      sources.push(typeLists.flat());
+    } else {
+      // AND: "water + ground" keeps only dual types
+      sources.push(...typeLists);
+    }
+
+    if (generation) {
+      const first = Math.max(1, generation.min ?? 1);
+      const last = Math.min(generation.max ?? MAX_GENERATION, MAX_GENERATION);
+      const numbers = Array.from({ length: Math.max(0, last - first + 1) }, (_, i) => first + i);
+      const generations = await Promise.all(numbers.map(n => this.getGeneration(n, options)));
+      // Species ids match the ids of their default Pokémon
+      sources.push(generations.flatMap(data =>
+        (data.pokemon_species || []).map(species => BaseModel.idFromUrl(species.url)).filter(Boolean)
+      ));
+    }
+
+    if (text) {
+      const hits = await this.suggestPokemon(text, 50, options);
+      sources.push(hits.map(hit => hit.id));
+    }
+
+    if (sources.length === 0) {
+      const index = await this.getSearchIndex(options);
+      return index.getIds();
+    }
+
+    const [first, ...rest] = sources;
+    const sets = rest.map(source => new Set(source));
+    return Array.from(new Set(first))
+      .filter(id => sets.every(set => set.has(id)))
+      .sort((a, b) => a - b);
+  }
+
+  // Ability filters accept slugs or localized names ("intimidate", "Intimidación")
+  async matchAbilities(pokemonList, abilities = [], excludeAbilities = [], options = {}) {
+    if (abilities.length === 0 && excludeAbilities.length === 0) return pokemonList;
+
+    const slugs = Array.from(new Set(pokemonList.flatMap(pokemon => pokemon.getAbilityNames())));
+    const results = await Promise.allSettled(slugs.map(slug => this.getLocalizedNames('ability', slug, options)));
+    this.throwIfAborted(options.signal);
+
+    const keysBySlug = new Map(slugs.map((slug, i) => {
+      const names = results[i].status === 'fulfilled' ? Object.values(results[i].value) : [];
+      return [slug, new Set([slug, ...names].map(normalizeSearchText))];
+    }));
+    const hasAbility = (pokemon, wanted) => {
+      const key = normalizeSearchText(wanted);
+      return pokemon.getAbilityNames().some(slug => keysBySlug.get(slug)?.has(key));
+    };
+
+    return pokemonList.filter(pokemon =>
+      abilities.every(ability => hasAbility(pokemon, ability))
+      && !excludeAbilities.some(ability => hasAbility(pokemon, ability))
+    );
+  }
+
+  // Candidate ids in the requested order, ties by Dex number. Names come from the
+  // list index; stats and type need every candidate's details (cached for later pages),
+  // so they are refused for more than MAX_DETAIL_SORT_CANDIDATES candidates
+  async sortCandidates(ids, { sortBy = 'id', sortOrder = 'asc' } = {}, options = {}) {
+    let keyOf;
+    switch (sortBy) {
+      case 'id':
+        keyOf = id => id;
+        break;
+      case 'name': {
+        const index = await this.getSearchIndex(options);
+        keyOf = id => index.getName(id) || '';
+        break;
+      }
+      case 'stats':
+      case 'type': {
+        if (ids.length > MAX_DETAIL_SORT_CANDIDATES) {
+          throw new QueryTooBroadError(
+            `Sorting by ${sortBy} needs details for ${ids.length} candidates (max ${MAX_DETAIL_SORT_CANDIDATES})`,
+            { count: ids.length, limit: MAX_DETAIL_SORT_CANDIDATES }
+          );
+        }
+        const fetched = await Promise.allSettled(ids.map(id => this.getPokemonById(id, options)));
+        this.throwIfAborted(options.signal);
+        const byId = new Map(fetched
+          .filter(result => result.status === 'fulfilled')
+          .map(result => [result.value.id, result.value]));
+        keyOf = sortBy === 'stats'
+          ? id => byId.get(id)?.getStatTotal() ?? 0
+          : id => byId.get(id)?.getTypeNames().join('/') ?? '';
+        break;
+      }
+      default:
+        throw new Error(`Unknown sort: ${sortBy}`);
+    }
+
+    const compare = (a, b) => {
+      if (a < b) return -1;
+      if (a > b) return 1;
+      return 0;
+    };
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    return ids
+      .map(id => ({ id, key: keyOf(id) }))
+      .sort((a, b) => direction * compare(a.key, b.key) || compare(a.id, b.id))
+      .map(entry => entry.id);
+  }
+
+  /**
+   * Advanced filtering: accepts the object produced by parseSearchQuery.
+   * Candidates are sorted as a whole, then checked in chunks until the page
+   * is full, so a page is only short when nothing else matches.
+   * Returns { results, nextCursor, hasMore }; pass `cursor` back for the next page.
+   */
+  async filterPokemon(filters = {}, options = {}) {
     const {
       type,
+      types = type ? [type] : [],
+      typeMode = 'all',
+      excludeTypes = [],
+      generation = null,
+      abilities = [],
+      excludeAbilities = [],
+      stats = {},
       minStats,
       maxStats,
+      text = '',
+      ids = null,
+      excludeIds = [],
       sortBy = 'id',
       sortOrder = 'asc',
       limit = 20,
-      offset = 0
+      cursor = null
     } = filters;
 
+    if (!['all', 'any'].includes(typeMode)) {
+      throw new Error('typeMode must be "all" or "any"');
+    }
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error('Limit must be a positive integer');
+    }
+
+    // The cursor is how many candidates of the sorted list were already scanned
+    const offset = cursor === null || cursor === undefined ? 0 : Number(cursor);
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error('Invalid pagination cursor');
+    }
+
+    const excluded = new Set(excludeIds);
+    const candidates = await this.sortCandidates(
+      (await this.getFilterCandidates({ types, typeMode, generation, text, ids }, options)).filter(id => !excluded.has(id)),
+      { sortBy, sortOrder },
+      options
+    );
+
+    const inRange = (value, min, max) =>
+      (min === null || min === undefined || value >= min) && (max === null || max === undefined || value <= max);
+    const matchesStats = pokemon =>
+      inRange(pokemon.getStatTotal(), minStats, maxStats)
+      && Object.entries(stats).every(([stat, bounds]) => inRange(pokemon.getStatByName(stat), bounds?.min, bounds?.max))
+      && !pokemon.getTypeNames().some(name => excludeTypes.includes(name));
+
     let results = [];
+    let position = offset;
+    while (results.length < limit && position < candidates.length) {
+      const chunk = candidates.slice(position, position + limit);
+      const fetched = await Promise.allSettled(chunk.map(id => this.getPokemonById(id, options)));
+      this.throwIfAborted(options.signal);
 
-    if (type) {
-      const typeData = await this.getPokemonByType(type);
-      const pokemonList = typeData.pokemon.slice(offset, offset + limit);
-      const pokemonPromises = pokemonList.map(entry => 
-        this.getPokemonByName(entry.pokemon.name)
-      );
-      results = await Promise.allSettled(pokemonPromises);
-      results = results
-        .filter(result => result.status === 'fulfilled')
-        .map(result => result.value);
-    } else {
-      const list = await this.getPokemonList(limit, offset);
-      const pokemonPromises = list.results.map(entry => 
-        this.getPokemonByName(entry.name)
+      const matches = await this.matchAbilities(
+        fetched
+          .filter(result => result.status === 'fulfilled')
+          .map(result => result.value)
+          .filter(matchesStats),
+        abilities,
+        excludeAbilities,
+        options
       );
-      results = await Promise.allSettled(pokemonPromises);
-      results = results
-        .filter(result => result.status === 'fulfilled')
-        .map(result => result.value);
-    }
-
-    // Apply stat filters
-    if (minStats || maxStats) {
-      results = results.filter(pokemon => {
-        const total = pokemon.getStatTotal();
-        if (minStats && total < minStats) return false;
-        if (maxStats && total > maxStats) return false;
-        return true;
-      });
+      results.push(...matches);
+      position += chunk.length;
     }
 
-    // Sort results
-    results.sort((a, b) => {
-      let valueA, valueB;
-      
-      switch (sortBy) {
-        case 'name':
-          valueA = a.name;
-          valueB = b.name;
-          break;
-        case 'stats':
-          valueA = a.getStatTotal();
-          valueB = b.getStatTotal();
-          break;
-        case 'id':
-        default:
-          valueA = a.id;
-          valueB = b.id;
-          break;
-      }
-
-      if (sortOrder === 'desc') {
-        return valueB > valueA ? 1 : -1;
-      }
-      return valueA > valueB ? 1 : -1;
-    });
+    // A full last chunk may overshoot: the cursor stops after the last Pokémon returned
+    if (results.length > limit) {
+      results = results.slice(0, limit);
+      position = candidates.indexOf(results[limit - 1].id) + 1;
+    }
+    const hasMore = position < candidates.length;
 
-    return results;
+    return {
+      results,
+      nextCursor: hasMore ? String(position) : null,
+      hasMore
+    };
   }
 }
 
+export { REQUEST_PRIORITY, isAbortError, API_MODES, LOCALIZABLE_RESOURCES, RARITY_WEIGHTS, MAX_DETAIL_SORT_CANDIDATES };
+export { PokemonApiService };
+
 // Export singleton instance
 export const pokemonApi = new PokemonApiService();
 export default pokemonApi;
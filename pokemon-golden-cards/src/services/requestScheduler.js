@@ -0,0 +1,163 @@
+/**
+ * Request Scheduler
+ * Runs queued requests concurrently under a token-bucket rate limit
+ * Higher-priority work (visible cards) is started before background prefetches
+ */
+export const REQUEST_PRIORITY = Object.freeze({
+  HIGH: 0,
+  NORMAL: 1,
+  LOW: 2
+});
+
+export function createAbortError(signal) {
+  if (signal?.reason instanceof Error) return signal.reason;
+  return new DOMException('The request was aborted', 'AbortError');
+}
+
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+export class RequestScheduler {
+  constructor({ concurrency = 6, ratePerSecond = 10, burst = 10 } = {}) {
+    this.pending = [];
+    this.active = 0;
+    this.sequence = 0;
+    this.drainTimer = null;
+    this.configure({ concurrency, ratePerSecond, burst });
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+  }
+
+  configure({ concurrency, ratePerSecond, burst } = {}) {
+    if (concurrency !== undefined) {
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error('Concurrency must be a positive integer');
+      }
+      this.concurrency = concurrency;
+    }
+    if (ratePerSecond !== undefined) {
+      if (typeof ratePerSecond !== 'number' || ratePerSecond <= 0) {
+        throw new Error('Rate must be a positive number of requests per second');
+      }
+      this.ratePerSecond = ratePerSecond;
+    }
+    if (burst !== undefined) {
+      if (!Number.isInteger(burst) || burst < 1) {
+        throw new Error('Burst must be a positive integer');
+      }
+      this.burst = burst;
+      this.tokens = Math.min(this.tokens ?? burst, burst);
+    }
+    this.drain();
+  }
+
+  schedule(requestFn, { priority = REQUEST_PRIORITY.NORMAL, signal } = {}) {
+    if (typeof requestFn !== 'function') {
+      return Promise.reject(new Error('Request must be a function'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = { requestFn, resolve, reject, priority, signal, sequence: this.sequence++ };
+
+      // Drop the task if it is aborted before a slot frees up
+      if (signal) {
+        task.onAbort = () => {
+          const index = this.pending.indexOf(task);
+          if (index === -1) return;
+          this.pending.splice(index, 1);
+          reject(createAbortError(signal));
+        };
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+
+      this.enqueue(task);
+      this.drain();
+    });
+  }
+
+  // Keep pending tasks ordered by priority, FIFO within the same priority
+  enqueue(task) {
+    const index = this.pending.findIndex(existing => existing.priority > task.priority
+      || (existing.priority === task.priority && existing.sequence > task.sequence));
+    if (index === -1) {
+      this.pending.push(task);
+    } else {
+      this.pending.splice(index, 0, task);
+    }
+  }
+
+  // Re-queues the pending tasks started for a signal at a higher priority
+  raisePriority(signal, priority) {
+    const raised = this.pending.filter(task => task.signal === signal && task.priority > priority);
+    raised.forEach(task => {
+      this.pending.splice(this.pending.indexOf(task), 1);
+      task.priority = priority;
+      this.enqueue(task);
+    });
+  }
+
+  // Token bucket
+  refillTokens() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    this.lastRefill = now;
+    this.tokens = Math.min(this.burst, this.tokens + (elapsed * this.ratePerSecond) / 1000);
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      this.refillTokens();
+      if (this.tokens < 1) {
+        this.scheduleDrain();
+        return;
+      }
+      this.tokens -= 1;
+      this.run(this.pending.shift());
+    }
+  }
+
+  scheduleDrain() {
+    if (this.drainTimer) return;
+    const wait = Math.ceil(((1 - this.tokens) * 1000) / this.ratePerSecond);
+    this.drainTimer = setTimeout(() => {
+      this.drainTimer = null;
+      this.drain();
+    }, Math.max(wait, 0));
+  }
+
+  async run(task) {
+    if (task.signal) task.signal.removeEventListener('abort', task.onAbort);
+    this.active++;
+    try {
+      task.resolve(await task.requestFn());
+    } catch (error) {
+      task.reject(error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  getStats() {
+    const pendingByPriority = {};
+    Object.entries(REQUEST_PRIORITY).forEach(([name, value]) => {
+      pendingByPriority[name] = this.pending.filter(task => task.priority === value).length;
+    });
+
+    return {
+      active: this.active,
+      pending: this.pending.length,
+      pendingByPriority,
+      tokens: Math.floor(this.tokens),
+      concurrency: this.concurrency,
+      ratePerSecond: this.ratePerSecond,
+      burst: this.burst
+    };
+  }
+}
+
+export default RequestScheduler;
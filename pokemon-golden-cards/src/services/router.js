@@ -0,0 +1,232 @@
+/**
+ * Router Service
+ * Client-side routes on the History API (firebase.json already serves
+ * index.html for every path), so any view can be shared or reopened:
+ *   /pokemon/:idOrName               a single card (App shows it in the detail view)
+ *   /tipo/:type                      cards of a type, same syntax as tipo: (fuego, fuego,agua, agua+tierra)
+ *   /buscar?q=…&orden=…&pagina=…     a search; orden is numero|nombre|estadisticas|tipo, "-" for descending
+ *   /pokedex?desde=…&pagina=…        the National Dex in order, from a Dex number
+ * pagina is how many pages are on screen. Other query params (?api=offline)
+ * are kept as they are. Views write their state with sync(); only
+ * back/forward notify subscribers.
+ */
+import { parseSearchQuery, createEmptyFilters, formatTypeFilter } from './searchQuery.js';
+
+export const ROUTES = Object.freeze({
+  HOME: 'home',
+  POKEMON: 'pokemon',
+  TYPE: 'type',
+  SEARCH: 'search',
+  DEX: 'dex'
+});
+
+export const DEFAULT_SORT = Object.freeze({ sortBy: 'id', sortOrder: 'asc' });
+
+// filterPokemon sortBy -> `orden` value
+const SORT_SLUGS = { id: 'numero', name: 'nombre', stats: 'estadisticas', type: 'tipo' };
+
+export function parseSort(value) {
+  const raw = String(value || '').trim().toLowerCase();
+  const descending = raw.startsWith('-');
+  const slug = descending ? raw.slice(1) : raw;
+  const sortBy = Object.keys(SORT_SLUGS).find(key => SORT_SLUGS[key] === slug || key === slug);
+  return sortBy ? { sortBy, sortOrder: descending ? 'desc' : 'asc' } : { ...DEFAULT_SORT };
+}
+
+// null for the default order, so plain URLs stay plain
+export function formatSort(sortBy = DEFAULT_SORT.sortBy, sortOrder = DEFAULT_SORT.sortOrder) {
+  const slug = SORT_SLUGS[sortBy];
+  if (!slug || (sortBy === DEFAULT_SORT.sortBy && sortOrder !== 'desc')) return null;
+  return sortOrder === 'desc' ? `-${slug}` : slug;
+}
+
+// Positive integers; anything else falls back to 1 (pages, Dex numbers)
+const parsePage = (value) => {
+  const page = Number(value);
+  return Number.isInteger(page) && page > 1 ? page : 1;
+};
+
+// Query params owned by the routes; the rest are carried over on navigation
+const ROUTE_PARAMS = ['q', 'orden', 'pagina', 'desde'];
+
+function keepExtraParams(path, search = '') {
+  const extra = new URLSearchParams(search);
+  ROUTE_PARAMS.forEach(name => extra.delete(name));
+  if (!extra.toString()) return path;
+
+  const [pathname, query = ''] = path.split('?');
+  const params = new URLSearchParams(query);
+  extra.forEach((value, name) => params.append(name, value));
+  return `${pathname}?${params.toString()}`;
+}
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+// { types, typeMode } when the query is nothing but a tipo: filter, otherwise null
+export function typeFilterOf(query) {
+  const { filters, errors } = parseSearchQuery(query);
+  if (errors.length > 0 || filters.types.length === 0) return null;
+  const { types, typeMode, ...rest } = filters;
+  const empty = createEmptyFilters();
+  const onlyTypes = Object.keys(rest).every(key => JSON.stringify(rest[key]) === JSON.stringify(empty[key]));
+  return onlyTypes ? { types, typeMode } : null;
+}
+
+export function parseLocation({ pathname = '/', search = '' } = {}) {
+  const params = new URLSearchParams(search);
+  const listing = { ...parseSort(params.get('orden')), page: parsePage(params.get('pagina')) };
+  const [section, value, ...extra] = pathname.split('/').filter(Boolean).map(decodeSegment);
+
+  if (section === 'pokemon' && value && extra.length === 0) {
+    return { name: ROUTES.POKEMON, idOrName: value.trim().toLowerCase() };
+  }
+  if (section === 'tipo' && value && extra.length === 0) {
+    const filter = typeFilterOf(`tipo:${value}`);
+    if (filter) return { name: ROUTES.TYPE, ...filter, ...listing };
+  }
+  if (section === 'buscar' && !value) {
+    const q = (params.get('q') || '').trim();
+    if (q) return { name: ROUTES.SEARCH, q, ...listing };
+  }
+  if (section === 'pokedex' && !value) {
+    return { name: ROUTES.DEX, from: parsePage(params.get('desde')), page: listing.page };
+  }
+  // Unknown paths fall back to the home listing
+  return { name: ROUTES.HOME };
+}
+
+export function buildPath(route = {}) {
+  const params = new URLSearchParams();
+  const withListing = (path) => {
+    const sort = formatSort(route.sortBy, route.sortOrder);
+    if (sort) params.set('orden', sort);
+    if (route.page > 1) params.set('pagina', String(route.page));
+    const search = params.toString();
+    return search ? `${path}?${search}` : path;
+  };
+
+  switch (route.name) {
+    case ROUTES.POKEMON:
+      return `/pokemon/${encodeURIComponent(String(route.idOrName).toLowerCase())}`;
+    case ROUTES.TYPE:
+      // Type slugs are ASCII; "," and "+" are kept readable
+      return withListing(`/tipo/${formatTypeFilter(route.types, route.typeMode)}`);
+    case ROUTES.SEARCH:
+      params.set('q', route.q);
+      return withListing('/buscar');
+    case ROUTES.DEX:
+      if (route.from > 1) params.set('desde', String(route.from));
+      // The Dex has a single order
+      return withListing('/pokedex');
+    default:
+      return '/';
+  }
+}
+
+/**
+ * Route for what a view is showing. A query made of a single tipo: filter
+ * becomes /tipo/; without a query, `dexFrom` (a Dex number) means /pokedex.
+ */
+export function routeForListing({
+  pokemon = null,
+  query = '',
+  types = [],
+  typeMode = 'any',
+  sortBy,
+  sortOrder,
+  page = 1,
+  dexFrom = null
+} = {}) {
+  if (pokemon) return { name: ROUTES.POKEMON, idOrName: String(pokemon) };
+
+  const listing = {
+    sortBy: sortBy || DEFAULT_SORT.sortBy,
+    sortOrder: sortOrder || DEFAULT_SORT.sortOrder,
+    page
+  };
+  const q = String(query || '').trim();
+  const typeFilter = q ? typeFilterOf(q) : (types.length > 0 ? { types, typeMode } : null);
+  if (typeFilter) return { name: ROUTES.TYPE, ...typeFilter, ...listing };
+  if (q) return { name: ROUTES.SEARCH, q, ...listing };
+  if (dexFrom) return { name: ROUTES.DEX, from: dexFrom, page };
+  return { name: ROUTES.HOME };
+}
+
+// Same listing regardless of order and page (those changes replace the history entry)
+const listingKey = (route) => buildPath({ ...route, sortBy: null, sortOrder: null, page: 1 });
+
+export class RouterService {
+  constructor(win = typeof window !== 'undefined' ? window : null) {
+    this.window = win;
+    this.listeners = new Set();
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  getRoute() {
+    return parseLocation(this.window?.location);
+  }
+
+  // Position in this tab's in-app history (0 for the page the user landed on)
+  getIndex() {
+    return Number(this.window?.history.state?.index) || 0;
+  }
+
+  // Whether back() stays inside the app
+  canGoBack() {
+    return this.getIndex() > 0;
+  }
+
+  back() {
+    this.window?.history.back();
+  }
+
+  // Writes a route to the address bar; returns false when it is already there
+  navigate(route, { replace = false } = {}) {
+    if (!this.window) return false;
+    const { search } = this.window.location;
+    const path = keepExtraParams(buildPath(route), search);
+    if (path === keepExtraParams(buildPath(this.getRoute()), search)) return false;
+    if (replace) this.window.history.replaceState({ index: this.getIndex() }, '', path);
+    else this.window.history.pushState({ index: this.getIndex() + 1 }, '', path);
+    return true;
+  }
+
+  // A new listing gets its own history entry; re-sorting or paging replaces it
+  sync(route) {
+    return this.navigate(route, { replace: listingKey(route) === listingKey(this.getRoute()) });
+  }
+
+  subscribe(listener) {
+    if (this.listeners.size === 0) {
+      this.window?.addEventListener('popstate', this.handlePopState);
+    }
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.window?.removeEventListener('popstate', this.handlePopState);
+      }
+    };
+  }
+
+  handlePopState() {
+    const route = this.getRoute();
+    this.listeners.forEach(listener => {
+      try {
+        listener(route);
+      } catch (error) {
+        console.error('Error in router listener:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const router = new RouterService();
+export default router;
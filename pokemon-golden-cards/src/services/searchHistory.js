@@ -0,0 +1,138 @@
+/**
+ * Search History Service
+ * Recent searches (deduplicated, capped) and named saved searches,
+ * persisted in localStorage per profile
+ */
+const STORAGE_PREFIX = 'pokemon-search-history';
+export const DEFAULT_PROFILE = 'default';
+const MAX_HISTORY = 10;
+const MAX_SAVED = 20;
+
+// Same search regardless of spacing or case
+const normalizeQuery = (query) => String(query || '').trim().replace(/\s+/g, ' ');
+const sameQuery = (a, b) => normalizeQuery(a).toLowerCase() === normalizeQuery(b).toLowerCase();
+
+export class SearchHistoryService {
+  constructor({ profile = DEFAULT_PROFILE, maxHistory = MAX_HISTORY, maxSaved = MAX_SAVED } = {}) {
+    this.maxHistory = maxHistory;
+    this.maxSaved = maxSaved;
+    this.listeners = new Set();
+    this.setProfile(profile);
+  }
+
+  // Profiles
+  setProfile(profile) {
+    if (!profile || typeof profile !== 'string') {
+      throw new Error('Profile must be a non-empty string');
+    }
+    this.profile = profile;
+    const { history, saved } = this.load();
+    this.history = history;
+    this.saved = saved;
+    this.notify();
+  }
+
+  getProfile() {
+    return this.profile;
+  }
+
+  getStorageKey() {
+    return `${STORAGE_PREFIX}:${this.profile}`;
+  }
+
+  // Persistence
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.getStorageKey()) || '{}');
+      return {
+        history: Array.isArray(data.history) ? data.history.filter(q => typeof q === 'string') : [],
+        saved: Array.isArray(data.saved) ? data.saved.filter(s => s?.name && s?.query) : []
+      };
+    } catch (error) {
+      console.error('Failed to load search history:', error);
+      return { history: [], saved: [] };
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.getStorageKey(), JSON.stringify({ history: this.history, saved: this.saved }));
+    } catch (error) {
+      console.error('Failed to save search history:', error);
+    }
+  }
+
+  // Subscriptions
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    const snapshot = this.getSnapshot();
+    this.listeners.forEach(listener => {
+      try {
+        listener(snapshot);
+      } catch (error) {
+        console.error('Error in search history listener:', error);
+      }
+    });
+  }
+
+  getSnapshot() {
+    return { history: [...this.history], saved: [...this.saved] };
+  }
+
+  // Recent searches: newest first, a repeated search moves to the front
+  getHistory() {
+    return [...this.history];
+  }
+
+  addToHistory(query) {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return;
+    this.history = [normalized, ...this.history.filter(q => !sameQuery(q, normalized))].slice(0, this.maxHistory);
+    this.save();
+    this.notify();
+  }
+
+  removeFromHistory(query) {
+    this.history = this.history.filter(q => !sameQuery(q, query));
+    this.save();
+    this.notify();
+  }
+
+  clearHistory() {
+    this.history = [];
+    this.save();
+    this.notify();
+  }
+
+  // Saved searches: a name for a query (filters included), unique by name
+  getSavedSearches() {
+    return [...this.saved];
+  }
+
+  saveSearch(name, query) {
+    const cleanName = normalizeQuery(name);
+    const cleanQuery = normalizeQuery(query);
+    if (!cleanName) throw new Error('Saved search name is required');
+    if (!cleanQuery) throw new Error('Saved search query is required');
+
+    const entry = { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`, name: cleanName, query: cleanQuery };
+    this.saved = [...this.saved.filter(s => !sameQuery(s.name, cleanName)), entry].slice(-this.maxSaved);
+    this.save();
+    this.notify();
+    return entry;
+  }
+
+  removeSavedSearch(id) {
+    this.saved = this.saved.filter(s => s.id !== id);
+    this.save();
+    this.notify();
+  }
+}
+
+// Export singleton instance
+export const searchHistory = new SearchHistoryService();
+export default searchHistory;
@@ -0,0 +1,162 @@
+/**
+ * Pokémon Search Index
+ * Local, typo-tolerant name index built from the species list.
+ * Ranks by exact/prefix match, edit distance and popularity.
+ */
+
+// Pokémon people search for most often get a small ranking boost
+const POPULAR_POKEMON = new Set([
+  'pikachu', 'charizard', 'eevee', 'mewtwo', 'mew', 'lucario', 'gengar', 'bulbasaur',
+  'charmander', 'squirtle', 'blastoise', 'venusaur', 'snorlax', 'dragonite', 'gyarados',
+  'greninja', 'umbreon', 'sylveon', 'rayquaza', 'garchomp', 'jigglypuff', 'psyduck',
+  'arcanine', 'lugia', 'ho-oh', 'gardevoir', 'mimikyu', 'togepi', 'meowth', 'magikarp'
+]);
+
+// Lowercase, no accents, letters and digits only ("Mr. Mime" -> "mrmime")
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions),
+// giving up early once every cell in a row exceeds `max`
+export function editDistance(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed grow with the length of the query
+function maxTyposFor(query) {
+  if (query.length <= 3) return 0;
+  if (query.length <= 5) return 1;
+  if (query.length <= 9) return 2;
+  return 3;
+}
+
+export class SearchIndex {
+  /**
+   * @param {Array<{id: number, name: string}>} entries - From the /pokemon list
+   */
+  constructor(entries = []) {
+    this.entries = new Map();
+    this.byName = new Map();
+    entries.forEach(entry => this.add(entry));
+  }
+
+  add({ id, name }) {
+    if (!id || !name) return;
+    const entry = {
+      id,
+      name,
+      keys: new Set([normalizeSearchText(name)]),
+      popularity: SearchIndex.getPopularity(id, name)
+    };
+    this.entries.set(id, entry);
+    this.byName.set(name, entry);
+  }
+
+  // Localized names ("Dracaufeu", "リザードン") become extra search keys
+  addAliases(idOrName, aliases = []) {
+    const entry = this.entries.get(Number(idOrName)) || this.byName.get(String(idOrName).toLowerCase());
+    if (!entry) return;
+    aliases.forEach(alias => {
+      const key = normalizeSearchText(alias);
+      if (key) entry.keys.add(key);
+    });
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  getName(id) {
+    return this.entries.get(Number(id))?.name ?? null;
+  }
+
+  // Every indexed Pokémon id, in list (Dex) order
+  getIds() {
+    return Array.from(this.entries.keys());
+  }
+
+  // 0..1: favourites first, then earlier Dex numbers; alternate forms last
+  static getPopularity(id, name) {
+    if (POPULAR_POKEMON.has(name)) return 1;
+    if (id > 10000) return 0;
+    return 0.5 * (1 - Math.min(id, 1500) / 1500);
+  }
+
+  // Lower is better; null means the key does not match at all
+  static scoreKey(query, key, maxTypos) {
+    if (key === query) return 0;
+    if (key.startsWith(query)) return 1 + (key.length - query.length) * 0.01;
+    if (key.includes(query)) return 2;
+    if (maxTypos === 0) return null;
+
+    const distance = editDistance(query, key, maxTypos);
+    if (distance <= maxTypos) return 2 + distance;
+
+    // Typo inside a prefix ("charzar" -> "charizard")
+    if (key.length > query.length) {
+      const prefixDistance = editDistance(query, key.slice(0, query.length + 1), maxTypos);
+      if (prefixDistance <= maxTypos) return 2.5 + prefixDistance;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the best matches as [{ id, name, score }], best first.
+   * Numeric queries match the Dex number directly.
+   */
+  search(query, { limit = 10 } = {}) {
+    const raw = String(query || '').trim().replace(/^#/, '');
+    if (/^\d+$/.test(raw)) {
+      const entry = this.entries.get(Number(raw));
+      return entry ? [{ id: entry.id, name: entry.name, score: 0 }] : [];
+    }
+
+    const normalized = normalizeSearchText(raw);
+    if (!normalized) return [];
+    const maxTypos = maxTyposFor(normalized);
+
+    const hits = [];
+    this.entries.forEach(entry => {
+      let best = null;
+      entry.keys.forEach(key => {
+        const score = SearchIndex.scoreKey(normalized, key, maxTypos);
+        if (score !== null && (best === null || score < best)) best = score;
+      });
+      if (best !== null) {
+        hits.push({ id: entry.id, name: entry.name, score: best - entry.popularity * 0.5 });
+      }
+    });
+
+    return hits
+      .sort((a, b) => a.score - b.score || a.id - b.id)
+      .slice(0, limit);
+  }
+}
+
+export default SearchIndex;
@@ -0,0 +1,256 @@
+/**
+ * Search Query Language
+ * Parses SearchBar input such as
+ *   tipo:fuego gen:1 total>500 habilidad:intimidación velocidad>=100 -favoritos
+ *   tipo:agua+tierra (both types)   tipo:fuego,agua (either type)
+ * into a filter object for PokemonApiService.filterPokemon, with Spanish
+ * syntax errors that point at the offending token
+ */
+import { normalizeSearchText } from './searchIndex.js';
+
+export const MAX_GENERATION = 9;
+
+// Spanish and English type names -> PokéAPI slug
+const TYPE_ALIASES = {
+  normal: 'normal',
+  fuego: 'fire', fire: 'fire',
+  agua: 'water', water: 'water',
+  planta: 'grass', grass: 'grass',
+  electrico: 'electric', electric: 'electric',
+  hielo: 'ice', ice: 'ice',
+  lucha: 'fighting', fighting: 'fighting',
+  veneno: 'poison', poison: 'poison',
+  tierra: 'ground', ground: 'ground',
+  volador: 'flying', flying: 'flying',
+  psiquico: 'psychic', psychic: 'psychic',
+  bicho: 'bug', bug: 'bug',
+  roca: 'rock', rock: 'rock',
+  fantasma: 'ghost', ghost: 'ghost',
+  dragon: 'dragon',
+  siniestro: 'dark', dark: 'dark',
+  acero: 'steel', steel: 'steel',
+  hada: 'fairy', fairy: 'fairy'
+};
+
+const STAT_ALIASES = {
+  ps: 'hp', hp: 'hp',
+  ataque: 'attack', atk: 'attack', attack: 'attack',
+  defensa: 'defense', def: 'defense', defense: 'defense',
+  ataqueespecial: 'special-attack', ataqueesp: 'special-attack', atqesp: 'special-attack',
+  spatk: 'special-attack', specialattack: 'special-attack',
+  defensaespecial: 'special-defense', defensaesp: 'special-defense', defesp: 'special-defense',
+  spdef: 'special-defense', specialdefense: 'special-defense',
+  velocidad: 'speed', vel: 'speed', speed: 'speed'
+};
+
+// Filter keys (normalized) -> field
+const FIELD_ALIASES = {
+  tipo: 'type', type: 'type',
+  gen: 'generation', generacion: 'generation', generation: 'generation',
+  total: 'total', bst: 'total',
+  habilidad: 'ability', ability: 'ability',
+  nombre: 'name', name: 'name',
+  ...Object.fromEntries(Object.keys(STAT_ALIASES).map(key => [key, 'stat']))
+};
+
+const FLAG_ALIASES = {
+  favoritos: 'favorites', favorito: 'favorites', fav: 'favorites', favorites: 'favorites'
+};
+
+const NUMERIC_FIELDS = ['generation', 'total', 'stat'];
+
+const TOKEN_PATTERN = /(?:[^\s"]*"[^"]*"?)+|\S+/g;
+const FILTER_PATTERN = /^(-)?([^:<>=]+)(>=|<=|:|>|<|=)(.*)$/;
+
+export function createEmptyFilters() {
+  return {
+    text: '',
+    types: [],
+    typeMode: 'all',
+    excludeTypes: [],
+    abilities: [],
+    excludeAbilities: [],
+    generation: null,
+    minStats: null,
+    maxStats: null,
+    stats: {},
+    favorites: null
+  };
+}
+
+// `>`/`<` are strict: bounds are stored inclusive since stats are integers
+function toBounds(operator, value) {
+  switch (operator) {
+    case '>': return { min: value + 1, max: null };
+    case '>=': return { min: value, max: null };
+    case '<': return { min: null, max: value - 1 };
+    case '<=': return { min: null, max: value };
+    default: return { min: value, max: value };
+  }
+}
+
+const NEGATED_OPERATORS = { '>': '<=', '>=': '<', '<': '>=', '<=': '>' };
+
+// Narrows existing bounds; several conditions on one field must all hold
+function mergeBounds(current, next) {
+  const pick = (a, b, fn) => (a === null || a === undefined ? b : b === null || b === undefined ? a : fn(a, b));
+  return {
+    min: pick(current?.min, next.min, Math.max),
+    max: pick(current?.max, next.max, Math.min)
+  };
+}
+
+function parseNumericValue(raw, operator) {
+  const range = raw.match(/^(\d+)-(\d+)$/);
+  if (range) {
+    if (operator !== ':' && operator !== '=') return { error: 'Un rango solo admite «:» (ej. gen:1-3)' };
+    const [min, max] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    return { bounds: { min, max } };
+  }
+  if (!/^\d+$/.test(raw)) return { error: `«${raw}» no es un número válido` };
+  return { bounds: toBounds(operator, Number(raw)) };
+}
+
+/**
+ * @returns {{ filters: object, errors: Array<{message, token, start, end}>, structured: boolean }}
+ * `structured` is true when the input contains at least one filter or flag;
+ * plain words are kept in `filters.text` for a name search.
+ */
+export function parseSearchQuery(input) {
+  const filters = createEmptyFilters();
+  const errors = [];
+  const words = [];
+  let structured = false;
+
+  const source = String(input || '');
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    const token = match[0];
+    const start = match.index;
+    const fail = (message) => errors.push({ message, token, start, end: start + token.length });
+
+    if ((token.match(/"/g) || []).length % 2 !== 0) {
+      fail('Faltan las comillas de cierre');
+      continue;
+    }
+
+    const negated = token.startsWith('-') && token.length > 1;
+    const flag = FLAG_ALIASES[normalizeSearchText(negated ? token.slice(1) : token)];
+    if (flag) {
+      structured = true;
+      filters[flag] = !negated;
+      continue;
+    }
+
+    const parts = token.match(FILTER_PATTERN);
+    if (!parts) {
+      words.push(token.replace(/"/g, ''));
+      continue;
+    }
+
+    structured = true;
+    const [, minus, rawKey, rawOperator, rawValue] = parts;
+    const key = normalizeSearchText(rawKey);
+    const field = FIELD_ALIASES[key];
+    const value = rawValue.replace(/"/g, '').trim();
+
+    if (!field) {
+      fail(`Filtro desconocido «${rawKey}»`);
+      continue;
+    }
+    if (!value) {
+      fail(`Falta el valor de «${rawKey}»`);
+      continue;
+    }
+
+    if (NUMERIC_FIELDS.includes(field)) {
+      let operator = rawOperator;
+      if (minus) {
+        if (!NEGATED_OPERATORS[operator]) {
+          fail(`Solo se pueden negar comparaciones (ej. -${rawKey}>2)`);
+          continue;
+        }
+        operator = NEGATED_OPERATORS[operator];
+      }
+      const { bounds, error } = parseNumericValue(value, operator);
+      if (error) {
+        fail(error);
+        continue;
+      }
+
+      if (field === 'generation') {
+        if ((bounds.min !== null && bounds.min > MAX_GENERATION) || (bounds.max !== null && bounds.max < 1)) {
+          fail(`La generación debe estar entre 1 y ${MAX_GENERATION}`);
+          continue;
+        }
+        filters.generation = mergeBounds(filters.generation, bounds);
+      } else if (field === 'total') {
+        const merged = mergeBounds({ min: filters.minStats, max: filters.maxStats }, bounds);
+        filters.minStats = merged.min;
+        filters.maxStats = merged.max;
+      } else {
+        const stat = STAT_ALIASES[key];
+        filters.stats[stat] = mergeBounds(filters.stats[stat], bounds);
+      }
+      continue;
+    }
+
+    if (rawOperator !== ':' && rawOperator !== '=') {
+      fail(`«${rawKey}» no admite comparaciones; usa ${rawKey}:valor`);
+      continue;
+    }
+
+    if (field === 'type') {
+      const anyOf = value.includes(',');
+      const names = value.split(/[,+]/).map(name => name.trim()).filter(Boolean);
+      const unknown = names.find(name => !TYPE_ALIASES[normalizeSearchText(name)]);
+      if (unknown !== undefined || names.length === 0) {
+        fail(`Tipo desconocido «${unknown ?? value}»`);
+        continue;
+      }
+      if (value.includes(',') && value.includes('+')) {
+        fail('Usa «,» (cualquiera) o «+» (ambos), no los dos');
+        continue;
+      }
+      const slugs = names.map(name => TYPE_ALIASES[normalizeSearchText(name)]);
+      if (minus) {
+        filters.excludeTypes.push(...slugs);
+        continue;
+      }
+      // Only one "any" group makes sense: tipo:a,b tipo:c would be ambiguous
+      if ((anyOf && filters.types.length > 0) || (!anyOf && filters.typeMode === 'any')) {
+        fail('No se pueden combinar «tipo:a,b» con otros filtros de tipo');
+        continue;
+      }
+      if (anyOf) filters.typeMode = 'any';
+      filters.types.push(...slugs);
+    } else if (field === 'ability') {
+      // Matched against slugs and localized names when the filter runs
+      (minus ? filters.excludeAbilities : filters.abilities).push(value);
+    } else if (field === 'name') {
+      if (minus) {
+        fail('El nombre no se puede negar');
+        continue;
+      }
+      words.push(value);
+    }
+  }
+
+  filters.text = words.join(' ').trim();
+  return { filters, errors, structured };
+}
+
+// Inverse of the tipo: value: ['fire', 'water'] -> "fuego,agua" (any) or "fuego+agua" (all)
+export function formatTypeFilter(types = [], typeMode = 'all') {
+  const spanish = (slug) => Object.keys(TYPE_ALIASES).find(alias => TYPE_ALIASES[alias] === slug) || slug;
+  return types.map(spanish).join(typeMode === 'any' ? ',' : '+');
+}
+
+// The favourites flag needs the caller's list: turn it into id constraints
+export function resolveFavorites(filters, favoriteIds = []) {
+  const { favorites, ...rest } = filters;
+  if (favorites === true) return { ...rest, ids: [...favoriteIds] };
+  if (favorites === false) return { ...rest, excludeIds: [...favoriteIds] };
+  return rest;
+}
+
+export default parseSearchQuery;
@@ -0,0 +1,65 @@
+/**
+ * Shiny Service
+ * Decides once whether a drawn card is shiny ("1 in N" odds, persisted in
+ * localStorage). The result is stored on the card instance, never on the
+ * shared cached Pokemon
+ */
+const STORAGE_KEY = 'pokemon-shiny-odds';
+export const DEFAULT_SHINY_ODDS = 512;
+const MIN_SHINY_ODDS = 1;
+const MAX_SHINY_ODDS = 65536;
+
+export class ShinyService {
+  constructor() {
+    this.odds = this.loadOdds();
+  }
+
+  loadOdds() {
+    try {
+      const saved = Number(localStorage.getItem(STORAGE_KEY));
+      return ShinyService.isValidOdds(saved) ? saved : DEFAULT_SHINY_ODDS;
+    } catch {
+      return DEFAULT_SHINY_ODDS;
+    }
+  }
+
+  // "1 in N": 512 means a 1/512 chance per card
+  getOdds() {
+    return this.odds;
+  }
+
+  setOdds(odds) {
+    const value = Number(odds);
+    if (!ShinyService.isValidOdds(value)) {
+      throw new Error(`Shiny odds must be an integer between ${MIN_SHINY_ODDS} and ${MAX_SHINY_ODDS}`);
+    }
+    this.odds = value;
+    try {
+      localStorage.setItem(STORAGE_KEY, String(value));
+    } catch (error) {
+      console.error('Failed to save shiny odds:', error);
+    }
+  }
+
+  roll({ odds = this.odds, random = Math.random } = {}) {
+    return random() < 1 / odds;
+  }
+
+  // A drawn card: shiny ones are copies so the cached Pokemon stays normal
+  drawCard(pokemon, options = {}) {
+    if (!pokemon || !this.roll(options)) return pokemon;
+    return pokemon.withShiny(true);
+  }
+
+  drawCards(pokemonList = [], options = {}) {
+    return pokemonList.map(pokemon => this.drawCard(pokemon, options));
+  }
+
+  static isValidOdds(value) {
+    return Number.isInteger(value) && value >= MIN_SHINY_ODDS && value <= MAX_SHINY_ODDS;
+  }
+}
+
+// Export singleton instance
+export const shiny = new ShinyService();
+export default shiny;
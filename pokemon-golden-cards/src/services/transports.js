@@ -0,0 +1,199 @@
+/**
+ * API Transports
+ * Pluggable backends for PokemonApiService: live HTTP, recorded fixtures
+ * (offline demo mode) and a recorder that captures live responses as fixtures
+ */
+export const API_BASE_URL = 'https://pokeapi.co/api/v2';
+export const FIXTURES_URL = '/fixtures';
+export const RECORDER_ENDPOINT = '/__fixtures/record';
+
+export const API_MODES = Object.freeze({
+  LIVE: 'live',
+  OFFLINE: 'offline',
+  RECORD: 'record'
+});
+
+// Resources whose fixtures may be looked up by name through the list index
+const NAMED_RESOURCES = ['pokemon', 'pokemon-species', 'type', 'ability'];
+
+// Species share ids and names with their default Pokémon, so either index resolves them
+const POKEMON_RESOURCES = ['pokemon', 'pokemon-species'];
+
+// Lists are recorded whole, so ask for more entries than any PokéAPI list has
+const FULL_LIST_LIMIT = 100000;
+
+function jsonResponse(data, status = 200, statusText = 'OK') {
+  return new Response(JSON.stringify(data), {
+    status,
+    statusText,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Splits an API URL into its fixture path and query parameters.
+ * `${baseUrl}/evolution-chain/1/` -> { path: 'evolution-chain/1', params }
+ * `${baseUrl}/pokemon?limit=20`   -> { path: 'pokemon/index', params: { limit: 20 } }
+ */
+export function toFixturePath(url, baseUrl = API_BASE_URL) {
+  const [pathPart, queryPart = ''] = url.replace(baseUrl, '').split('?');
+  const segments = pathPart.split('/').filter(Boolean).map(segment => segment.toLowerCase());
+  if (segments.length === 0) return null;
+  if (segments.length === 1) segments.push('index');
+
+  const params = Object.fromEntries(new URLSearchParams(queryPart));
+  return { path: segments.join('/'), params };
+}
+
+// Live transport: the real PokéAPI over fetch
+export function createHttpTransport({ baseUrl = API_BASE_URL } = {}) {
+  return {
+    mode: API_MODES.LIVE,
+    baseUrl,
+    request: (url, { signal } = {}) => fetch(url, { signal })
+  };
+}
+
+/**
+ * Offline transport backed by recorded JSON responses.
+ * `fixtures` may be an in-memory map of path -> data (handy for tests);
+ * otherwise files are loaded from `${fixturesUrl}/<path>.json`.
+ */
+export function createFixtureTransport({ baseUrl = API_BASE_URL, fixturesUrl = FIXTURES_URL, fixtures = null } = {}) {
+  const loaded = new Map();
+
+  const loadFixture = async (path, signal) => {
+    if (fixtures) return fixtures[path] ?? null;
+    if (loaded.has(path)) return loaded.get(path);
+
+    const response = await fetch(`${fixturesUrl}/${path}.json`, { signal });
+    // Dev servers answer unknown paths with index.html, so check the content type too
+    const isJson = response.headers.get('Content-Type')?.includes('json');
+    const data = response.ok && isJson ? await response.json() : null;
+    loaded.set(path, data);
+    return data;
+  };
+
+  const resolveByName = async (path, signal) => {
+    const [resource, name] = path.split('/');
+    if (!NAMED_RESOURCES.includes(resource) || /^\d+$/.test(name)) return null;
+
+    let index = await loadFixture(`${resource}/index`, signal);
+    if (!index && POKEMON_RESOURCES.includes(resource)) {
+      index = await loadFixture('pokemon/index', signal);
+    }
+    const entry = index?.results?.find(item => item.name === name);
+    const id = entry?.url?.split('/').filter(Boolean).pop();
+    return id ? loadFixture(`${resource}/${id}`, signal) : null;
+  };
+
+  return {
+    mode: API_MODES.OFFLINE,
+    baseUrl,
+    async request(url, { signal } = {}) {
+      const target = toFixturePath(url, baseUrl);
+      if (!target) return jsonResponse({ detail: 'Not found' }, 404, 'Not Found');
+
+      const data = await loadFixture(target.path, signal) || await resolveByName(target.path, signal);
+      if (!data) return jsonResponse({ detail: 'Not found' }, 404, 'Not Found');
+
+      // List endpoints are recorded once and paginated locally
+      if (target.path.endsWith('/index') && Array.isArray(data.results)) {
+        const offset = Number(target.params.offset) || 0;
+        const limit = Number(target.params.limit) || data.results.length;
+        return jsonResponse({ ...data, results: data.results.slice(offset, offset + limit) });
+      }
+      return jsonResponse(data);
+    }
+  };
+}
+
+/**
+ * Live transport that also sends every successful response to the Vite dev
+ * server, which writes it under public/fixtures (see vite.config.js).
+ */
+export function createRecordingTransport({ baseUrl = API_BASE_URL, endpoint = RECORDER_ENDPOINT } = {}) {
+  const http = createHttpTransport({ baseUrl });
+
+  const record = async (path, data) => {
+    try {
+      await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ path, data })
+      });
+    } catch (error) {
+      console.warn(`Failed to record fixture ${path}:`, error);
+    }
+  };
+
+  // A page of a list would leave the offline index short: fetch the whole list once instead
+  const recordedLists = new Set();
+  const recordList = async (path) => {
+    if (recordedLists.has(path)) return;
+    recordedLists.add(path);
+    const resource = path.replace(/\/index$/, '');
+    try {
+      const response = await http.request(`${baseUrl}/${resource}?limit=${FULL_LIST_LIMIT}&offset=0`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      await record(path, await response.json());
+    } catch (error) {
+      recordedLists.delete(path);
+      console.warn(`Failed to record list ${path}:`, error);
+    }
+  };
+
+  return {
+    mode: API_MODES.RECORD,
+    baseUrl,
+    async request(url, options = {}) {
+      const response = await http.request(url, options);
+      const target = toFixturePath(url, baseUrl);
+      if (!response.ok || !target) return response;
+
+      if (target.path.endsWith('/index')) {
+        recordList(target.path);
+        return response;
+      }
+
+      const data = await response.clone().json().catch(() => null);
+      if (!data) return response;
+
+      record(target.path, data);
+      // Name lookups are also stored under the numeric id
+      const [resource, key] = target.path.split('/');
+      if (data.id && key !== String(data.id)) {
+        record(`${resource}/${data.id}`, data);
+      }
+      return response;
+    }
+  };
+}
+
+// Mode comes from ?api=offline|record|live, falling back to VITE_API_MODE
+export function resolveApiMode() {
+  const values = Object.values(API_MODES);
+  try {
+    const fromQuery = typeof window !== 'undefined'
+      ? new URLSearchParams(window.location.search).get('api')
+      : null;
+    if (values.includes(fromQuery)) return fromQuery;
+  } catch {
+    // Ignore malformed URLs and fall back to the environment
+  }
+
+  const fromEnv = import.meta.env?.VITE_API_MODE;
+  return values.includes(fromEnv) ? fromEnv : API_MODES.LIVE;
+}
+
+export function createTransport(mode = resolveApiMode(), options = {}) {
+  switch (mode) {
+    case API_MODES.OFFLINE:
+      return createFixtureTransport(options);
+    case API_MODES.RECORD:
+      return createRecordingTransport(options);
+    case API_MODES.LIVE:
+    default:
+      return createHttpTransport(options);
+  }
+}
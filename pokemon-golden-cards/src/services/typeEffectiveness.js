@@ -0,0 +1,141 @@
+/**
+ * Type Effectiveness Engine
+ * Builds damage multipliers from the `damage_relations` of /type payloads:
+ * defensive profiles for single or dual types and offensive coverage for a
+ * set of move types. Only the types involved need to be loaded
+ */
+
+// The 18 battle types (PokéAPI also lists "stellar", "unknown" and "shadow")
+export const POKEMON_TYPES = [
+  'normal', 'fire', 'water', 'electric', 'grass', 'ice',
+  'fighting', 'poison', 'ground', 'flying', 'psychic', 'bug',
+  'rock', 'ghost', 'dragon', 'dark', 'steel', 'fairy'
+];
+
+// Defensive buckets, strongest first
+export const EFFECTIVENESS_BUCKETS = [
+  { key: 'quadruple', multiplier: 4, label: '×4' },
+  { key: 'double', multiplier: 2, label: '×2' },
+  { key: 'neutral', multiplier: 1, label: '×1' },
+  { key: 'half', multiplier: 0.5, label: '×½' },
+  { key: 'quarter', multiplier: 0.25, label: '×¼' },
+  { key: 'immune', multiplier: 0, label: '×0' }
+];
+
+const RELATION_MULTIPLIERS = { double: 2, half: 0.5, no: 0 };
+
+const namesOf = (list) => (list || []).map(entry => entry?.name).filter(Boolean);
+
+export const formatMultiplier = (multiplier) => (
+  EFFECTIVENESS_BUCKETS.find(bucket => bucket.multiplier === multiplier)?.label || `×${multiplier}`
+);
+
+export class TypeChart {
+  constructor() {
+    // type -> { to: { type: multiplier }, from: { type: multiplier } }
+    this.relations = new Map();
+  }
+
+  // Accepts /type payloads (anything with `name` and `damage_relations`)
+  static fromTypeData(typeDataList = []) {
+    const chart = new TypeChart();
+    typeDataList.forEach(data => chart.addType(data));
+    return chart;
+  }
+
+  addType(data) {
+    const name = data?.name;
+    const relations = data?.damage_relations;
+    if (!name || !relations) {
+      throw new Error('Type data must include name and damage_relations');
+    }
+
+    const to = {};
+    const from = {};
+    Object.entries(RELATION_MULTIPLIERS).forEach(([relation, multiplier]) => {
+      namesOf(relations[`${relation}_damage_to`]).forEach(type => { to[type] = multiplier; });
+      namesOf(relations[`${relation}_damage_from`]).forEach(type => { from[type] = multiplier; });
+    });
+    this.relations.set(name, { to, from });
+    return this;
+  }
+
+  has(type) {
+    return this.relations.has(type);
+  }
+
+  requireTypes(types) {
+    const missing = types.filter(type => !this.has(type));
+    if (missing.length > 0) {
+      throw new Error(`Type chart is missing: ${missing.join(', ')}`);
+    }
+  }
+
+  // Damage multiplier of an attack type against one or two defending types
+  getMultiplier(attackType, defendTypes = []) {
+    const defenders = [].concat(defendTypes);
+    this.requireTypes(defenders);
+    return defenders.reduce((total, type) => total * (this.relations.get(type).from[attackType] ?? 1), 1);
+  }
+
+  /**
+   * Defensive profile of a single or dual type:
+   * { multipliers: { attackType: n }, quadruple, double, neutral, half, quarter, immune }
+   */
+  getDefensiveProfile(defendTypes = []) {
+    const profile = { multipliers: {} };
+    EFFECTIVENESS_BUCKETS.forEach(bucket => { profile[bucket.key] = []; });
+
+    POKEMON_TYPES.forEach(attackType => {
+      const multiplier = this.getMultiplier(attackType, defendTypes);
+      profile.multipliers[attackType] = multiplier;
+      const bucket = EFFECTIVENESS_BUCKETS.find(b => b.multiplier === multiplier);
+      if (bucket) profile[bucket.key].push(attackType);
+    });
+    return profile;
+  }
+
+  // Weaknesses (×2 and ×4) and resistances (×½, ×¼ and immunities) with their multipliers
+  getWeaknessesAndResistances(defendTypes = []) {
+    const { multipliers } = this.getDefensiveProfile(defendTypes);
+    const entries = Object.entries(multipliers).map(([type, multiplier]) => ({ type, multiplier }));
+    return {
+      weaknesses: entries.filter(e => e.multiplier > 1).sort((a, b) => b.multiplier - a.multiplier),
+      resistances: entries.filter(e => e.multiplier < 1).sort((a, b) => b.multiplier - a.multiplier)
+    };
+  }
+
+  // Offensive multiplier of an attack type against a single defending type (from the attacker's data)
+  getAttackMultiplier(attackType, defendType) {
+    this.requireTypes([attackType]);
+    return this.relations.get(attackType).to[defendType] ?? 1;
+  }
+
+  /**
+   * Best multiplier a set of move types gets against each single type:
+   * { best: { defendType: { multiplier, moveTypes } }, superEffective, neutral, notVeryEffective, noEffect }
+   */
+  getOffensiveCoverage(moveTypes = []) {
+    const attackers = Array.from(new Set(moveTypes));
+    this.requireTypes(attackers);
+
+    const coverage = { best: {}, superEffective: [], neutral: [], notVeryEffective: [], noEffect: [] };
+    POKEMON_TYPES.forEach(defendType => {
+      let best = { multiplier: attackers.length > 0 ? 0 : 1, moveTypes: [] };
+      attackers.forEach(attackType => {
+        const multiplier = this.getAttackMultiplier(attackType, defendType);
+        if (multiplier > best.multiplier) best = { multiplier, moveTypes: [attackType] };
+        else if (multiplier === best.multiplier) best.moveTypes.push(attackType);
+      });
+      coverage.best[defendType] = best;
+
+      if (best.multiplier > 1) coverage.superEffective.push(defendType);
+      else if (best.multiplier === 1) coverage.neutral.push(defendType);
+      else if (best.multiplier > 0) coverage.notVeryEffective.push(defendType);
+      else coverage.noEffect.push(defendType);
+    });
+    return coverage;
+  }
+}
+
+export default TypeChart;
@@ -1,7 +1,57 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const FIXTURES_DIR = fileURLToPath(new URL('./public/fixtures', import.meta.url))
+const FIXTURE_PATH = /^[a-z0-9-]+(\/[a-z0-9-]+)*$/
+
+// Dev-only endpoint used by the "record" API mode to save live responses as fixtures
+function fixtureRecorder() {
+  return {
+    name: 'pokeapi-fixture-recorder',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/__fixtures/record', async (req, res) => {
+        if (req.method !== 'POST') {
+          res.statusCode = 405
+          return res.end()
+        }
+
+        try {
+          let body = ''
+          for await (const chunk of req) body += chunk
+          const { path, data } = JSON.parse(body)
+          if (!FIXTURE_PATH.test(path) || !data || typeof data !== 'object') {
+            res.statusCode = 400
+            return res.end('Invalid fixture')
+          }
+
+          const file = join(FIXTURES_DIR, `${path}.json`)
+          // Never replace a list index with a shorter page of it
+          if (path.endsWith('/index')) {
+            const existing = await readFile(file, 'utf8').then(JSON.parse).catch(() => null)
+            if (existing?.results?.length > (data.results?.length ?? 0)) {
+              res.statusCode = 204
+              return res.end()
+            }
+          }
+
+          await mkdir(dirname(file), { recursive: true })
+          await writeFile(file, JSON.stringify(data))
+          res.statusCode = 204
+          res.end()
+        } catch (error) {
+          res.statusCode = 500
+          res.end(error.message)
+        }
+      })
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), fixtureRecorder()],
 })